@@ -24,11 +24,39 @@ const errorHandler = (err, req, res, next) => {
   }
 
   // JWT errors
-  if (err.name === 'JsonWebTokenError') {
+  if (err.name === 'JsonWebTokenError' || err.name === 'NotBeforeError') {
     const message = 'Invalid token';
     error = { message, statusCode: 401 };
   }
 
+  if (err.name === 'TokenExpiredError') {
+    const message = 'Token expired';
+    error = { message, statusCode: 401 };
+  }
+
+  // Multer upload errors
+  if (err.name === 'MulterError') {
+    const message = `Upload error: ${err.message}`;
+    error = { message, statusCode: err.code === 'LIMIT_FILE_SIZE' ? 413 : 400 };
+  }
+
+  // AI output that couldn't be repaired into a valid email
+  if (err.name === 'StructuredOutputError') {
+    error = { message: err.message, statusCode: 502, details: err.details };
+  }
+
+  // Tenant sending or AI quota used up
+  if (err.name === 'QuotaExceededError') {
+    if (err.retryAfter) {
+      res.set('Retry-After', String(err.retryAfter));
+    }
+    error = {
+      message: err.message,
+      statusCode: 429,
+      details: { quota: err.quota, limit: err.limit, used: err.used, retryAfter: err.retryAfter }
+    };
+  }
+
   // OpenAI API errors
   if (err.code === 'insufficient_quota') {
     const message = 'OpenAI API quota exceeded';
@@ -43,6 +71,7 @@ const errorHandler = (err, req, res, next) => {
   res.status(error.statusCode || 500).json({
     success: false,
     message: error.message || 'Server Error',
+    ...(error.details && { details: error.details }),
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
   });
 };
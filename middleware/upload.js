@@ -0,0 +1,61 @@
+const multer = require('multer');
+const attachmentService = require('../services/attachmentService');
+
+const attachmentStorage = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: attachmentService.maxFileBytes,
+    files: attachmentService.maxCount
+  }
+});
+
+// A single contact file (CSV or vCard) for list imports
+const contactStorage = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: parseInt(process.env.CONTACT_IMPORT_MAX_BYTES) || 5 * 1024 * 1024,
+    files: 1
+  }
+});
+
+// Multipart forms can only carry strings, so structured fields arrive as JSON text
+const JSON_FIELDS = ['recipients', 'cc', 'bcc', 'replyTo', 'variables', 'attachments', 'metadata', 'references', 'tags', 'mapping'];
+
+const parseMultipartFields = (req, res, next) => {
+  if (!req.is('multipart/form-data')) {
+    return next();
+  }
+
+  for (const field of JSON_FIELDS) {
+    if (typeof req.body[field] !== 'string') {
+      continue;
+    }
+
+    try {
+      req.body[field] = JSON.parse(req.body[field]);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        details: [`"${field}" must be valid JSON`]
+      });
+    }
+  }
+
+  next();
+};
+
+const attachmentUpload = [
+  attachmentStorage.fields([
+    { name: 'attachments' },
+    { name: 'inline' }
+  ]),
+  parseMultipartFields
+];
+
+const contactUpload = [
+  contactStorage.single('file'),
+  parseMultipartFields
+];
+
+module.exports = { attachmentUpload, contactUpload };
@@ -0,0 +1,283 @@
+const express = require('express');
+const Joi = require('joi');
+const contactService = require('../services/contactService');
+const emailService = require('../services/emailService');
+const { IMPORT_FORMATS } = require('../services/contactService');
+const { requireScope } = require('../middleware/auth');
+const { contactUpload } = require('../middleware/upload');
+
+const router = express.Router();
+
+router.use(requireScope('send'));
+
+// Validation schemas
+const createListSchema = Joi.object({
+  name: Joi.string().required().min(1).max(100),
+  description: Joi.string().optional().allow('').max(500)
+});
+
+const updateListSchema = Joi.object({
+  name: Joi.string().min(1).max(100),
+  description: Joi.string().allow('').max(500)
+}).min(1);
+
+const fieldValue = Joi.alternatives().try(Joi.string().allow('').max(1000), Joi.number());
+
+const addContactsSchema = Joi.object({
+  contacts: Joi.array().items(Joi.object({
+    email: Joi.string().required().max(320),
+    name: Joi.string().allow('').max(200).optional(),
+    firstName: Joi.string().allow('').max(100).optional(),
+    lastName: Joi.string().allow('').max(100).optional(),
+    company: Joi.string().allow('').max(200).optional(),
+    tags: Joi.array().items(Joi.string().max(50)).max(50).optional(),
+    // Custom fields; their keys can be used as template placeholders
+    fields: Joi.object().pattern(Joi.string().pattern(/^[A-Za-z_]\w*$/).max(50), fieldValue).optional()
+  })).required().min(1).max(10000)
+});
+
+// The file comes as a multipart "file" upload, or as text in "content"
+const importContactsSchema = Joi.object({
+  format: Joi.string().valid(...IMPORT_FORMATS).optional(),
+  content: Joi.string().max(5 * 1024 * 1024).optional(),
+  // Column to read each field from, e.g. { "email": "E-mail Address", "tags": "Groups" }
+  mapping: Joi.object({
+    email: Joi.string().max(200),
+    name: Joi.string().max(200),
+    firstName: Joi.string().max(200),
+    lastName: Joi.string().max(200),
+    company: Joi.string().max(200),
+    tags: Joi.string().max(200)
+  }).default({})
+});
+
+const listNotFound = res => res.status(404).json({
+  success: false,
+  message: 'Contact list not found'
+});
+
+// vCards start with BEGIN:VCARD; anything else is read as CSV
+const detectFormat = (content, filename) => {
+  if (/\.(vcf|vcard)$/i.test(filename || '') || /^\s*BEGIN:VCARD/i.test(content.replace(/^﻿/, ''))) {
+    return 'vcard';
+  }
+
+  return 'csv';
+};
+
+// Report for an import or add: what changed and every row left out, with why
+const importReport = ({ added, updated }, skipped, total) => ({
+  total,
+  added,
+  updated,
+  skipped: skipped.length,
+  skippedRows: skipped
+});
+
+// List contact lists (without their contacts)
+router.get('/', (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: contactService.list(req.auth.tenant.id)
+  });
+});
+
+// Get a list with its contacts, optionally only those with ?tag=
+router.get('/:id', (req, res) => {
+  const list = contactService.get(req.params.id, req.auth.tenant.id);
+
+  if (!list) {
+    return listNotFound(res);
+  }
+
+  const contacts = req.query.tag
+    ? contactService.select(req.auth.tenant.id, { listId: list.id, tags: [].concat(req.query.tag) })
+    : list.contacts;
+
+  res.status(200).json({
+    success: true,
+    data: { ...contactService.summarize(list), contacts }
+  });
+});
+
+// Create list
+router.post('/', (req, res, next) => {
+  try {
+    const { error, value } = createListSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    const list = contactService.create(value, req.auth.tenant.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Contact list created successfully',
+      data: contactService.summarize(list)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update list name or description
+router.put('/:id', (req, res, next) => {
+  try {
+    const { error, value } = updateListSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    const list = contactService.update(req.params.id, value, req.auth.tenant.id);
+
+    if (!list) {
+      return listNotFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Contact list updated successfully',
+      data: contactService.summarize(list)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete list
+router.delete('/:id', (req, res) => {
+  if (!contactService.remove(req.params.id, req.auth.tenant.id)) {
+    return listNotFound(res);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Contact list deleted successfully'
+  });
+});
+
+// Add or update contacts given as JSON
+router.post('/:id/contacts', (req, res, next) => {
+  try {
+    const { error, value } = addContactsSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    if (!contactService.get(req.params.id, req.auth.tenant.id)) {
+      return listNotFound(res);
+    }
+
+    // Same checks as a file import, with the JSON keys as the columns
+    const headers = ['email', 'name', 'firstName', 'lastName', 'company', 'tags'];
+    const { contacts, skipped } = contactService.toContacts({
+      headers,
+      rows: value.contacts.map((contact, index) => ({
+        row: index + 1,
+        values: { ...contact, tags: (contact.tags || []).join(',') }
+      }))
+    });
+    const fieldsByEmail = new Map(value.contacts.map(contact => [emailService.normalizeAddress(contact.email), contact.fields || {}]));
+    const result = contactService.addContacts(
+      req.params.id,
+      contacts.map(contact => ({ ...contact, fields: fieldsByEmail.get(contact.email) || {} })),
+      req.auth.tenant.id
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `${result.added} contacts added, ${result.updated} updated, ${skipped.length} skipped`,
+      data: importReport(result, skipped, value.contacts.length)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Import contacts from a CSV or vCard file
+router.post('/:id/import', contactUpload, (req, res, next) => {
+  try {
+    const { error, value } = importContactsSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    if (!contactService.get(req.params.id, req.auth.tenant.id)) {
+      return listNotFound(res);
+    }
+
+    const content = req.file ? req.file.buffer.toString('utf8') : value.content;
+
+    if (!content) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        details: ['Upload a "file" or send the file text as "content"']
+      });
+    }
+
+    const format = value.format || detectFormat(content, req.file && req.file.originalname);
+    const parsed = contactService.parse(content, format);
+    const unknownColumns = Object.values(value.mapping).filter(column => !parsed.headers.includes(column));
+
+    if (unknownColumns.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        details: unknownColumns.map(column => `Mapped column "${column}" is not in the file (columns: ${parsed.headers.join(', ')})`)
+      });
+    }
+
+    const { contacts, skipped } = contactService.toContacts(parsed, value.mapping);
+    const result = contactService.addContacts(req.params.id, contacts, req.auth.tenant.id);
+
+    res.status(200).json({
+      success: true,
+      message: `${result.added} contacts added, ${result.updated} updated, ${skipped.length} skipped`,
+      data: { format, ...importReport(result, skipped, parsed.rows.length) }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Remove one contact from a list
+router.delete('/:id/contacts/:email', (req, res) => {
+  if (!contactService.removeContact(req.params.id, req.params.email, req.auth.tenant.id)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Contact not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Contact removed successfully'
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,246 @@
+const express = require('express');
+const Joi = require('joi');
+const domainService = require('../services/domainService');
+const emailService = require('../services/emailService');
+const tenantService = require('../services/tenantService');
+const { KEY_SIZES } = require('../services/domainService');
+const { requireScope } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Signing keys apply to every tenant sending from the domain, so a tenant's admin
+// only manages the domains of its own sender profiles; the operator manages all
+router.use(requireScope('admin'));
+
+// Domains the caller's sender profiles send from
+const tenantDomains = req => [...new Set(emailService.ownAddresses(req.auth.tenant).map(domainService.domainOf))];
+
+const isOperator = req => tenantService.hasScope(req.auth, 'operator');
+
+// Validation schemas
+const domainSchema = Joi.string().hostname().required();
+
+const selectorSchema = Joi.string().pattern(/^[A-Za-z0-9]([A-Za-z0-9-]*[A-Za-z0-9])?(\.[A-Za-z0-9]([A-Za-z0-9-]*[A-Za-z0-9])?)*$/).max(63);
+
+const generateKeySchema = Joi.object({
+  selector: selectorSchema.optional(),
+  bits: Joi.number().valid(...KEY_SIZES).default(2048),
+  // An existing key is only rotated when asked to
+  replace: Joi.boolean().default(false)
+});
+
+const checkQuerySchema = Joi.object({
+  selector: selectorSchema.optional()
+});
+
+// Validates :domain and that the caller may manage it, sending the 400 or 403
+// itself; returns the lowercased domain or null
+const domainParam = (req, res) => {
+  const { error, value } = domainSchema.validate(req.params.domain);
+
+  if (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      details: [`"${req.params.domain}" is not a valid domain`]
+    });
+    return null;
+  }
+
+  const domain = value.toLowerCase();
+
+  if (!isOperator(req) && !tenantDomains(req).includes(domain)) {
+    res.status(403).json({
+      success: false,
+      message: `${domain} is not a domain of this tenant's sender profiles`
+    });
+    return null;
+  }
+
+  return domain;
+};
+
+// The tenant's sender domains; for the operator, every sender domain plus any with a stored key
+router.get('/', (req, res) => {
+  const operator = isOperator(req);
+  const senderDomains = operator
+    ? [...new Set(emailService.ownAddresses().map(domainService.domainOf))]
+    : tenantDomains(req);
+  const keyDomains = operator ? domainService.listKeys().map(key => key.domain) : [];
+  const domains = [...new Set([...senderDomains, ...keyDomains])].sort();
+
+  res.status(200).json({
+    success: true,
+    data: domains.map(domain => {
+      const key = domainService.getKey(domain);
+      const pending = domainService.getPendingKey(domain);
+      return {
+        domain,
+        sender: senderDomains.includes(domain),
+        dkim: key ? { selector: key.selector, bits: key.bits, createdAt: key.createdAt } : null,
+        pendingDkim: pending ? { selector: pending.selector, bits: pending.bits, createdAt: pending.createdAt } : null
+      };
+    })
+  });
+});
+
+// Generate a pending DKIM key pair; the response has the TXT record to publish.
+// The key signs nothing until /verify sees that record.
+router.post('/:domain/dkim', async (req, res, next) => {
+  try {
+    const domain = domainParam(req, res);
+    if (!domain) {
+      return;
+    }
+
+    const { error, value } = generateKeySchema.validate(req.body || {});
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    const active = domainService.getKey(domain);
+
+    if ((active || domainService.getPendingKey(domain)) && !value.replace) {
+      return res.status(409).json({
+        success: false,
+        message: `A DKIM key for ${domain} already exists. Send "replace": true to generate a new one.`
+      });
+    }
+
+    if (active && value.selector === active.selector) {
+      return res.status(409).json({
+        success: false,
+        message: `Selector "${value.selector}" belongs to the active key. Rotate to a new selector so mail stays signed while DNS updates.`
+      });
+    }
+
+    const key = await domainService.generateKey(domain, { selector: value.selector, bits: value.bits });
+
+    res.status(201).json({
+      success: true,
+      message: `DKIM key generated. Publish the TXT record at ${key.dnsRecord.name}, then call POST /api/email/domains/${domain}/dkim/verify to start signing with it.`,
+      data: key
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Activate the pending key once its TXT record is published
+router.post('/:domain/dkim/verify', async (req, res, next) => {
+  try {
+    const domain = domainParam(req, res);
+    if (!domain) {
+      return;
+    }
+
+    const result = await domainService.verifyKey(domain);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'No pending DKIM key to verify'
+      });
+    }
+
+    if (!result.verified) {
+      return res.status(409).json({
+        success: false,
+        message: `The TXT record at ${result.key.dnsRecord.name} does not match the pending key yet. Publish it and try again once DNS has updated.`,
+        details: result.dkim.issues,
+        data: result
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `DKIM record verified. Mail from ${domain} is signed with selector "${result.key.selector}" from now on.`,
+      data: result
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// The stored keys' selectors and DNS records (never the private keys)
+router.get('/:domain/dkim', (req, res) => {
+  const domain = domainParam(req, res);
+  if (!domain) {
+    return;
+  }
+
+  const key = domainService.getKey(domain);
+  const pending = domainService.getPendingKey(domain);
+
+  if (!key && !pending) {
+    return res.status(404).json({
+      success: false,
+      message: 'DKIM key not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      active: key && domainService.describe(key),
+      pending: pending && domainService.describe(pending)
+    }
+  });
+});
+
+// Stop signing mail from the domain and drop any pending key
+router.delete('/:domain/dkim', (req, res) => {
+  const domain = domainParam(req, res);
+  if (!domain) {
+    return;
+  }
+
+  if (!domainService.removeKey(domain)) {
+    return res.status(404).json({
+      success: false,
+      message: 'DKIM key not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'DKIM key deleted successfully'
+  });
+});
+
+// Look up the domain's SPF, DKIM and DMARC records and report problems
+router.get('/:domain/check', async (req, res, next) => {
+  try {
+    const domain = domainParam(req, res);
+    if (!domain) {
+      return;
+    }
+
+    const { error, value } = checkQuerySchema.validate(req.query);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: await domainService.check(domain, value)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,251 @@
+const express = require('express');
+const Joi = require('joi');
+const draftService = require('../services/draftService');
+const tenantService = require('../services/tenantService');
+const { DRAFT_STATUS } = require('../services/draftService');
+const { BODY_FORMATS } = require('../services/renderService');
+const { requireScope, actorOf } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Writing drafts is part of generating; approving and rejecting them is for admins
+router.use(requireScope('generate'));
+
+// Validation schemas
+const listDraftsSchema = Joi.object({
+  status: Joi.string().valid(...Object.values(DRAFT_STATUS)).optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const createDraftSchema = Joi.object({
+  subject: Joi.string().required().min(1).max(200),
+  body: Joi.string().required().min(10),
+  bodyFormat: Joi.string().valid(...BODY_FORMATS).default('text'),
+  metadata: Joi.object().optional()
+});
+
+const updateDraftSchema = Joi.object({
+  subject: Joi.string().min(1).max(200),
+  body: Joi.string().min(10),
+  bodyFormat: Joi.string().valid(...BODY_FORMATS)
+}).min(1);
+
+const commentSchema = Joi.object({
+  comment: Joi.string().required().min(1).max(2000)
+});
+
+const reviewSchema = Joi.object({
+  comment: Joi.string().min(1).max(2000).optional()
+});
+
+const draftNotFound = res => res.status(404).json({
+  success: false,
+  message: 'Draft not found'
+});
+
+const validationError = (res, error) => res.status(400).json({
+  success: false,
+  message: 'Validation error',
+  details: error.details.map(detail => detail.message)
+});
+
+// List drafts, most recently changed first
+router.get('/', (req, res) => {
+  const { error, value } = listDraftsSchema.validate(req.query);
+
+  if (error) {
+    return validationError(res, error);
+  }
+
+  const { items, pagination } = draftService.list(req.auth.tenant.id, value);
+
+  res.status(200).json({
+    success: true,
+    data: items,
+    pagination
+  });
+});
+
+// Get a draft with every version and comment
+router.get('/:id', (req, res) => {
+  const draft = draftService.get(req.params.id, req.auth.tenant.id);
+
+  if (!draft) {
+    return draftNotFound(res);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { ...draft, ...draftService.current(draft) }
+  });
+});
+
+// Create a draft from text written elsewhere (AI routes create theirs with "saveDraft")
+router.post('/', (req, res, next) => {
+  try {
+    const { error, value } = createDraftSchema.validate(req.body);
+
+    if (error) {
+      return validationError(res, error);
+    }
+
+    const { metadata, ...content } = value;
+    const draft = draftService.create({ ...content, metadata }, {
+      tenantId: req.auth.tenant.id,
+      source: 'manual',
+      author: actorOf(req)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Draft created successfully',
+      data: draftService.summarize(draft)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Change the content; saved as a new version
+router.put('/:id', (req, res, next) => {
+  try {
+    const { error, value } = updateDraftSchema.validate(req.body);
+
+    if (error) {
+      return validationError(res, error);
+    }
+
+    const draft = draftService.get(req.params.id, req.auth.tenant.id);
+
+    if (!draft) {
+      return draftNotFound(res);
+    }
+
+    if (draft.status === DRAFT_STATUS.SENT) {
+      return res.status(409).json({
+        success: false,
+        message: 'A sent draft cannot be changed'
+      });
+    }
+
+    const updated = draftService.addVersion(draft.id, value, { source: 'edit', author: actorOf(req) });
+
+    res.status(200).json({
+      success: true,
+      message: `Draft updated to version ${updated.currentVersion}`,
+      data: draftService.summarize(updated)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete a draft that hasn't been sent
+router.delete('/:id', (req, res) => {
+  const draft = draftService.get(req.params.id, req.auth.tenant.id);
+
+  if (!draft) {
+    return draftNotFound(res);
+  }
+
+  if (draft.status === DRAFT_STATUS.SENT) {
+    return res.status(409).json({
+      success: false,
+      message: 'A sent draft is kept for the record and cannot be deleted'
+    });
+  }
+
+  draftService.remove(draft.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Draft deleted successfully'
+  });
+});
+
+// Comment on the current version
+router.post('/:id/comments', (req, res, next) => {
+  try {
+    const { error, value } = commentSchema.validate(req.body);
+
+    if (error) {
+      return validationError(res, error);
+    }
+
+    const draft = draftService.get(req.params.id, req.auth.tenant.id);
+
+    if (!draft) {
+      return draftNotFound(res);
+    }
+
+    const updated = draftService.addComment(draft.id, value.comment, { author: actorOf(req) });
+
+    res.status(201).json({
+      success: true,
+      message: 'Comment added',
+      data: updated.comments[updated.comments.length - 1]
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// submit, approve and reject share everything but the scope and the rules for the comment
+const reviewAction = (action, { commentRequired = false } = {}) => (req, res, next) => {
+  try {
+    const { error, value } = (commentRequired ? commentSchema : reviewSchema).validate(req.body || {});
+
+    if (error) {
+      return validationError(res, error);
+    }
+
+    const draft = draftService.get(req.params.id, req.auth.tenant.id);
+
+    if (!draft) {
+      return draftNotFound(res);
+    }
+
+    if (!draftService.canTransition(draft, action)) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot ${action} a draft that is ${draft.status}`
+      });
+    }
+
+    // Without credentials (AUTH_DISABLED) there is no one to tell apart
+    const blocker = action === 'approve' && !tenantService.authDisabled &&
+      draftService.reviewBlocker(draftService.authorsOf(draft), actorOf(req));
+
+    if (blocker) {
+      return res.status(blocker.statusCode).json({
+        success: false,
+        message: blocker.message
+      });
+    }
+
+    const updated = draftService.transition(draft.id, action, { author: actorOf(req), comment: value.comment || null });
+
+    res.status(200).json({
+      success: true,
+      message: `Draft ${updated.status.replace('_', ' ')}`,
+      data: draftService.summarize(updated)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Ask for review of the current version
+router.post('/:id/submit', reviewAction('submit'));
+
+router.post('/:id/approve', requireScope('admin'), reviewAction('approve'));
+
+// Rejecting needs a comment saying what to change
+router.post('/:id/reject', requireScope('admin'), reviewAction('reject', { commentRequired: true }));
+
+module.exports = router;
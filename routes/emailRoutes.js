@@ -1,35 +1,271 @@
 const express = require('express');
 const Joi = require('joi');
 const aiService = require('../services/aiService');
+const { PROVIDERS } = require('../services/aiProviders');
 const emailService = require('../services/emailService');
+const queueService = require('../services/queueService');
+const templateService = require('../services/templateService');
+const attachmentService = require('../services/attachmentService');
+const trackingService = require('../services/trackingService');
+const validationService = require('../services/validationService');
+const tenantService = require('../services/tenantService');
+const quotaService = require('../services/quotaService');
+const threadService = require('../services/threadService');
+const contactService = require('../services/contactService');
+const draftService = require('../services/draftService');
+const contentService = require('../services/contentService');
+const { BODY_FORMATS } = require('../services/renderService');
+const { requireScope, actorOf } = require('../middleware/auth');
+const { attachmentUpload } = require('../middleware/upload');
 
 const router = express.Router();
 
 // Validation schemas
+const aiOptions = {
+  provider: Joi.string().valid(...Object.keys(PROVIDERS)).optional(),
+  model: Joi.string().max(100).optional()
+};
+
+// Message-IDs as they appear in headers: "<id@host>"
+const messageIdSchema = Joi.string().pattern(/^<[^<>\s]+>$/);
+
 const generateEmailSchema = Joi.object({
   prompt: Joi.string().required().min(10).max(1000),
   recipients: Joi.array().items(Joi.string().email()).optional(),
   tone: Joi.string().valid('professional', 'casual', 'formal', 'friendly').default('professional'),
-  emailType: Joi.string().valid('general', 'business', 'marketing', 'follow-up', 'invitation').default('general')
+  emailType: Joi.string().valid('general', 'business', 'marketing', 'follow-up', 'invitation').default('general'),
+  // Number of candidate emails to write, each from a different angle
+  variants: Joi.number().integer().min(1).max(5).default(1),
+  // Keep the email as a draft for review; its id comes back as "draftId"
+  saveDraft: Joi.boolean().default(false)
+    .when('variants', { is: Joi.number().greater(1), then: Joi.valid(false).messages({ 'any.only': '"saveDraft" is not supported with several variants' }) }),
+  ...aiOptions
 });
 
 const sendEmailSchema = Joi.object({
-  recipients: Joi.array().items(Joi.string().email()).required().min(1),
-  subject: Joi.string().required().min(1).max(200),
-  body: Joi.string().required().min(10),
-  senderName: Joi.string().optional().max(100)
+  recipients: Joi.array().items(Joi.string().email()).min(1),
+  // Send to a saved contact list and/or the tenant's contacts with these tags
+  listId: Joi.string().optional(),
+  tags: Joi.array().items(Joi.string().max(50)).min(1).max(20).optional(),
+  tagMatch: Joi.string().valid('any', 'all').default('any'),
+  cc: Joi.array().items(Joi.string().email()).optional(),
+  bcc: Joi.array().items(Joi.string().email()).optional(),
+  replyTo: Joi.array().items(Joi.string().email()).optional(),
+  // individual: one message per recipient, group: a single message to all recipients
+  mode: Joi.string().valid('individual', 'group').default('individual'),
+  // Marketing sends get an unsubscribe link, which has to name a single recipient
+  emailType: Joi.string().valid('general', 'business', 'marketing', 'follow-up', 'invitation').default('general')
+    .when('mode', { is: 'group', then: Joi.invalid('marketing') }),
+  templateId: Joi.string().optional(),
+  // Send a reviewed draft: subject, body and format come from its current version
+  draftId: Joi.string().optional(),
+  // Subject/body come from the template when templateId is given, or from each variant
+  subject: Joi.string().min(1).max(200).when('draftId', {
+    is: Joi.exist(),
+    then: Joi.forbidden(),
+    otherwise: Joi.when('templateId', {
+      is: Joi.exist(),
+      then: Joi.optional(),
+      otherwise: Joi.when('variants', { is: Joi.exist(), then: Joi.forbidden(), otherwise: Joi.required() })
+    })
+  }),
+  body: Joi.string().min(10).when('draftId', {
+    is: Joi.exist(),
+    then: Joi.forbidden(),
+    otherwise: Joi.when('templateId', {
+      is: Joi.exist(),
+      then: Joi.optional(),
+      otherwise: Joi.when('variants', { is: Joi.exist(), then: Joi.forbidden(), otherwise: Joi.required() })
+    })
+  }),
+  // A/B test: recipients are split across variants, randomly or by percentage weight
+  variants: Joi.array().items(Joi.object({
+    id: Joi.string().max(20).optional(),
+    subject: Joi.string().required().min(1).max(200),
+    body: Joi.string().required().min(10),
+    weight: Joi.number().min(0).max(100).optional()
+  })).min(2).max(5).unique('id', { ignoreUndefined: true })
+    .when('mode', { is: 'group', then: Joi.forbidden() })
+    .when('templateId', { is: Joi.exist(), then: Joi.forbidden() })
+    .when('draftId', { is: Joi.exist(), then: Joi.forbidden() })
+    .optional(),
+  split: Joi.string().valid('random', 'percentage').default('random'),
+  // How body (and every variant body) is written; Markdown and HTML are sanitized before sending
+  bodyFormat: Joi.string().valid(...BODY_FORMATS).default('text'),
+  // Wrap the body in the branded layout; false sends the bare body
+  layout: Joi.boolean().default(true),
+  // Per-recipient placeholder values, keyed by recipient address
+  variables: Joi.object().pattern(
+    Joi.string(),
+    Joi.object().pattern(Joi.string(), Joi.alternatives().try(Joi.string().allow(''), Joi.number()))
+  ).when('mode', { is: 'group', then: Joi.forbidden() }).optional(),
+  senderName: Joi.string().optional().max(100),
+  senderProfile: Joi.string().optional().custom((value, helpers) => (
+    emailService.hasProfile(value) ? value : helpers.message(`"senderProfile" must be a configured sender profile`)
+  )),
+  // Keep the raw string: a time without an offset is read in `timezone`
+  sendAt: Joi.string().isoDate().prefs({ convert: false }).optional(),
+  timezone: Joi.string().custom((value, helpers) => (
+    queueService.isValidTimeZone(value) ? value : helpers.message('"timezone" must be a valid IANA time zone')
+  )).optional(),
+  tracking: Joi.object({
+    opens: Joi.boolean().default(false),
+    clicks: Joi.boolean().default(false)
+  }).optional(),
+  // Threading headers from /reply, so the message files under the same conversation
+  inReplyTo: messageIdSchema.optional(),
+  references: Joi.array().items(messageIdSchema).max(50).optional(),
+  // The metadata block returned by /generate, kept in the send history
+  metadata: Joi.object().optional(),
+  // The "generationId" of the AI output being sent; marks the email as AI-written
+  generationId: Joi.string().max(100).optional(),
+  // Base64 attachments; a cid makes the attachment an inline image (<img src="cid:...">)
+  attachments: Joi.array().items(Joi.object({
+    filename: Joi.string().required().max(255),
+    contentType: Joi.string().required(),
+    content: Joi.string().base64({ paddingRequired: false }).required(),
+    cid: Joi.string().optional().max(100)
+  })).optional()
+}).or('recipients', 'listId', 'tags');
+
+const previewQuerySchema = Joi.object({
+  format: Joi.string().valid('json', 'eml').default('json'),
+  // Render only this recipient's message
+  recipient: Joi.string().email().optional(),
+  limit: Joi.number().integer().min(1).max(50).default(10)
+});
+
+const validateEmailsSchema = Joi.object({
+  emails: Joi.array().items(Joi.string().allow('').max(320)).required().max(1000),
+  // DNS lookups are slow, so the MX check is opt-in
+  checkMx: Joi.boolean().default(false)
 });
 
 const improveEmailSchema = Joi.object({
+  // Improve a draft's current version; the result is saved as its next version
+  draftId: Joi.string().optional(),
   originalEmail: Joi.object({
     subject: Joi.string().required(),
     body: Joi.string().required()
-  }).required(),
-  improvementRequest: Joi.string().required().min(5).max(500)
+  }).when('draftId', { is: Joi.exist(), then: Joi.forbidden(), otherwise: Joi.required() }),
+  improvementRequest: Joi.string().required().min(5).max(500),
+  ...aiOptions
 });
 
+// An email thread, either as messages (oldest first) or as raw .eml / RFC 822 sources
+const replySchema = Joi.object({
+  messages: Joi.array().items(Joi.object({
+    from: Joi.string().required().max(320),
+    to: Joi.array().items(Joi.string().max(320)).optional(),
+    cc: Joi.array().items(Joi.string().max(320)).optional(),
+    replyTo: Joi.array().items(Joi.string().max(320)).optional(),
+    subject: Joi.string().allow('').max(998).optional(),
+    date: Joi.date().iso().optional(),
+    body: Joi.string().required().max(100000),
+    messageId: messageIdSchema.optional(),
+    inReplyTo: messageIdSchema.optional(),
+    references: Joi.array().items(messageIdSchema).optional()
+  })).min(1).max(50),
+  raw: Joi.alternatives().try(
+    Joi.string().max(1000000),
+    Joi.array().items(Joi.string().max(1000000)).min(1).max(50)
+  ),
+  // follow-up: nudge about a message of ours that hasn't been answered
+  kind: Joi.string().valid('reply', 'follow-up').default('reply'),
+  prompt: Joi.string().max(1000).optional(),
+  tone: Joi.string().valid('professional', 'casual', 'formal', 'friendly').default('professional'),
+  replyAll: Joi.boolean().default(false),
+  // Our address in the thread, when it isn't one of the sender profiles
+  from: Joi.string().email().optional(),
+  saveDraft: Joi.boolean().default(false),
+  ...aiOptions
+}).xor('messages', 'raw');
+
+// Public URL of this API, used in tracking and unsubscribe links
+const publicBaseUrl = req => process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+
+// AI routes report unavailable instead of failing when no provider is configured
+const requireAI = (req, res, next) => {
+  const provider = req.body && req.body.provider;
+
+  if (!aiService.isAvailable(provider || undefined)) {
+    return res.status(503).json({
+      success: false,
+      message: provider ? `AI provider "${provider}" is not configured` : 'AI service is not configured'
+    });
+  }
+
+  next();
+};
+
+// Refuse AI calls once the tenant's monthly token budget is spent
+const requireAiBudget = (req, res, next) => {
+  try {
+    quotaService.checkAiBudget(req.auth.tenant);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Charges every completion a request makes, repairs included, to its tenant
+const recordAiUsage = req => usage => quotaService.recordAiUsage(req.auth.tenant, usage);
+
+// Spam, personal data and harmful-content check of what a send would deliver,
+// as written and as rendered for each recipient (their variables filled in), one
+// result per A/B variant, under the tenant's content policy
+const checkContent = (req, options) => contentService.check(
+  [...(options.variants || [{ subject: options.subject, body: options.body }]), ...queueService.renderedContents(options)],
+  { bodyFormat: options.bodyFormat, tenant: req.auth.tenant }
+);
+
+// Remember an AI output; the returned id goes back to the client as "generationId"
+const recordGeneration = (req, metadata) => draftService.recordGeneration(req.auth.tenant.id, metadata);
+
+// Keep AI output as a draft for review (the "saveDraft" option)
+const saveDraft = (req, email, metadata, source) => draftService.create(
+  { subject: email.subject, body: email.body, metadata },
+  { tenantId: req.auth.tenant.id, source, author: actorOf(req) }
+);
+
+// What /improve works on: the given email, or a draft's current version. Sends
+// the error response and returns null when the draft can't be improved.
+const improveTarget = (req, res, value) => {
+  if (!value.draftId) {
+    return { draft: null, originalEmail: value.originalEmail };
+  }
+
+  const draft = draftService.get(value.draftId, req.auth.tenant.id);
+
+  if (!draft) {
+    res.status(404).json({
+      success: false,
+      message: 'Draft not found'
+    });
+    return null;
+  }
+
+  if (draft.status === 'sent') {
+    res.status(409).json({
+      success: false,
+      message: 'A sent draft cannot be changed'
+    });
+    return null;
+  }
+
+  const { subject, body } = draftService.current(draft);
+  return { draft, originalEmail: { subject, body } };
+};
+
+// The improved email becomes the draft's next version, linked to the one it improved
+const saveImprovement = (req, draft, email, improvementRequest) => draftService.addVersion(
+  draft.id,
+  { subject: email.subject, body: email.body },
+  { source: 'improve', author: actorOf(req), improvementRequest }
+);
+
 // Generate email using AI
-router.post('/generate', async (req, res, next) => {
+router.post('/generate', requireScope('generate'), requireAI, requireAiBudget, async (req, res, next) => {
   try {
     const { error, value } = generateEmailSchema.validate(req.body);
     
@@ -41,39 +277,37 @@ router.post('/generate', async (req, res, next) => {
       });
     }
 
-    const { prompt, recipients, tone, emailType } = value;
-
-    const generatedEmail = await aiService.generateEmail(prompt, {
-      recipients,
+    const { prompt, recipients, tone, emailType, variants, provider, model } = value;
+    const context = { recipients, tone, emailType, provider, model, onUsage: recordAiUsage(req) };
+    const metadata = {
+      prompt,
       tone,
-      emailType
-    });
+      emailType,
+      generatedAt: new Date().toISOString()
+    };
 
-    // Debug: Log what AI service returned
-    console.log('🤖 AI Service returned:', {
-      subjectType: typeof generatedEmail.subject,
-      bodyType: typeof generatedEmail.body,
-      subjectPreview: generatedEmail.subject?.substring(0, 50),
-      bodyPreview: generatedEmail.body?.substring(0, 100),
-      bodyContainsJSON: generatedEmail.body?.includes('"subject"')
-    });
+    // With several variants the first one doubles as the top-level subject/body
+    const generated = variants > 1
+      ? (await aiService.generateVariants(prompt, context, variants))
+        .map((variant, index) => ({ id: String.fromCharCode(65 + index), ...variant }))
+      : [await aiService.generateEmail(prompt, context)];
 
-    // Ensure we're sending clean data
-    const cleanSubject = typeof generatedEmail.subject === 'string' ? generatedEmail.subject : 'Generated Email';
-    const cleanBody = typeof generatedEmail.body === 'string' ? generatedEmail.body : 'Error generating email content';
+    const generationId = recordGeneration(req, metadata);
+    const draft = value.saveDraft ? saveDraft(req, generated[0], metadata, 'generate') : null;
+    const policy = contentService.policyFor(req.auth.tenant);
+    const checked = generated.map(email => ({ ...email, contentCheck: contentService.analyze(email, policy) }));
 
     res.status(200).json({
       success: true,
-      message: 'Email generated successfully',
+      message: variants > 1 ? `${variants} email variants generated successfully` : 'Email generated successfully',
       data: {
-        subject: cleanSubject,
-        body: cleanBody,
-        metadata: {
-          prompt,
-          tone,
-          emailType,
-          generatedAt: new Date().toISOString()
-        }
+        subject: generated[0].subject,
+        body: generated[0].body,
+        ...(variants > 1 && { variants: checked }),
+        contentCheck: checked[0].contentCheck,
+        generationId,
+        ...(draft && { draftId: draft.id, draftVersion: draft.currentVersion }),
+        metadata
       }
     });
 
@@ -83,7 +317,7 @@ router.post('/generate', async (req, res, next) => {
 });
 
 // Improve existing email using AI
-router.post('/improve', async (req, res, next) => {
+router.post('/improve', requireScope('generate'), requireAI, requireAiBudget, async (req, res, next) => {
   try {
     const { error, value } = improveEmailSchema.validate(req.body);
     
@@ -95,9 +329,26 @@ router.post('/improve', async (req, res, next) => {
       });
     }
 
-    const { originalEmail, improvementRequest } = value;
+    const target = improveTarget(req, res, value);
+
+    if (!target) {
+      return;
+    }
+
+    const { improvementRequest, provider, model } = value;
 
-    const improvedEmail = await aiService.improveEmail(originalEmail, improvementRequest);
+    const improvedEmail = await aiService.improveEmail(target.originalEmail, improvementRequest, {
+      provider,
+      model,
+      onUsage: recordAiUsage(req)
+    });
+
+    const metadata = {
+      improvementRequest,
+      improvedAt: new Date().toISOString()
+    };
+    const generationId = recordGeneration(req, metadata);
+    const draft = target.draft && saveImprovement(req, target.draft, improvedEmail, improvementRequest);
 
     res.status(200).json({
       success: true,
@@ -105,10 +356,9 @@ router.post('/improve', async (req, res, next) => {
       data: {
         subject: improvedEmail.subject,
         body: improvedEmail.body,
-        metadata: {
-          improvementRequest,
-          improvedAt: new Date().toISOString()
-        }
+        generationId,
+        ...(draft && { draftId: draft.id, draftVersion: draft.currentVersion, draftStatus: draft.status }),
+        metadata
       }
     });
 
@@ -117,11 +367,11 @@ router.post('/improve', async (req, res, next) => {
   }
 });
 
-// Send email
-router.post('/send', async (req, res, next) => {
+// Draft a reply or follow-up to an email thread, with the headers to send it in-thread
+router.post('/reply', requireScope('generate'), requireAI, requireAiBudget, async (req, res, next) => {
   try {
-    const { error, value } = sendEmailSchema.validate(req.body);
-    
+    const { error, value } = replySchema.validate(req.body);
+
     if (error) {
       return res.status(400).json({
         success: false,
@@ -130,34 +380,512 @@ router.post('/send', async (req, res, next) => {
       });
     }
 
-    const { recipients, subject, body, senderName } = value;
+    const { kind, prompt, tone, replyAll, from, provider, model } = value;
+    const thread = threadService.normalize(value);
+    const parent = thread[thread.length - 1];
+    const ownAddresses = [...emailService.ownAddresses(), ...(from ? [from.toLowerCase()] : [])];
+    const { recipients, cc } = threadService.recipientsFor(thread, ownAddresses, { replyAll });
+    // Which of our addresses the thread was with, so the AI signs as the right person
+    const self = from || [parent.from, ...parent.to, ...parent.cc]
+      .filter(Boolean)
+      .map(entry => entry.address)
+      .find(address => ownAddresses.includes(address));
 
-    // Log the incoming data for debugging
-    console.log('Send email request:', {
-      recipients: recipients.length,
-      subject: subject?.substring(0, 50) + '...',
-      bodyType: typeof body,
-      bodyPreview: body?.substring(0, 100) + '...',
-      bodyContainsJSON: body?.includes('{') || body?.includes('}')
+    const reply = await aiService.generateReply(threadService.transcript(thread), {
+      kind,
+      instructions: prompt,
+      tone,
+      senderAddress: self,
+      provider,
+      model,
+      onUsage: recordAiUsage(req)
     });
-    
-    // Additional debug: check if body is actually a stringified object
-    if (typeof body === 'string' && body.includes('"subject"')) {
-      console.log('⚠️  WARNING: Body appears to contain JSON structure!');
-      console.log('Full body:', body);
+
+    const threading = threadService.threadingFor(parent);
+    // The thread's subject, not the AI's, so clients keep it in the conversation
+    const subject = threadService.replySubject(parent.subject || reply.subject);
+    const metadata = {
+      prompt: prompt || null,
+      tone,
+      emailType: kind === 'follow-up' ? 'follow-up' : 'general',
+      kind,
+      threadLength: thread.length,
+      generatedAt: new Date().toISOString()
+    };
+    const generationId = recordGeneration(req, metadata);
+    // The draft keeps who to send it to and how to thread it along with the text
+    const draft = value.saveDraft
+      ? saveDraft(req, { subject, body: reply.body }, { ...metadata, recipients, cc, inReplyTo: threading.inReplyTo, references: threading.references }, 'reply')
+      : null;
+
+    res.status(200).json({
+      success: true,
+      message: kind === 'follow-up' ? 'Follow-up generated successfully' : 'Reply generated successfully',
+      data: {
+        subject,
+        body: reply.body,
+        recipients,
+        cc,
+        inReplyTo: threading.inReplyTo,
+        references: threading.references,
+        warnings: threading.inReplyTo ? [] : ['The last message has no Message-ID, so the reply cannot be threaded'],
+        generationId,
+        ...(draft && { draftId: draft.id, draftVersion: draft.currentVersion }),
+        metadata
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Open a Server-Sent Events response. The returned signal aborts when the
+// client goes away, so the upstream completion can be cancelled with it.
+const openEventStream = (res) => {
+  const controller = new AbortController();
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+
+  const send = (event, data) => {
+    if (!res.writableEnded) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+
+  return { send, signal: controller.signal };
+};
+
+// Stream subject/body deltas, then a final `done` event with the validated email.
+// `save(email, metadata)` may store the result as a draft, whose id is added to `done`;
+const streamEmail = async (res, messages, { provider, model, onUsage, tenantId }, buildMetadata, save = null) => {
+  const { send, signal } = openEventStream(res);
+
+  try {
+    const email = await aiService.streamEmail(messages, {
+      provider,
+      model,
+      signal,
+      onUsage,
+      onDelta: (field, delta) => send(field, { delta })
+    });
+
+    const metadata = { ...buildMetadata(), repaired: email.repaired };
+    const generationId = draftService.recordGeneration(tenantId, metadata);
+    const draft = save ? save(email, metadata) : null;
+
+    send('done', {
+      subject: email.subject,
+      body: email.body,
+      generationId,
+      ...(draft && { draftId: draft.id, draftVersion: draft.currentVersion }),
+      metadata
+    });
+  } catch (error) {
+    if (signal.aborted) {
+      console.log('🔌 Client disconnected, upstream completion aborted');
+      return;
     }
 
-    const result = await emailService.sendEmail({
-      recipients,
-      subject,
-      body,
-      senderName
+    console.error('AI Stream Error:', error);
+    send('error', {
+      message: error.message,
+      ...(error.details && { details: error.details })
+    });
+  }
+
+  res.end();
+};
+
+// Generate email using AI, streamed as Server-Sent Events
+router.post('/generate/stream', requireScope('generate'), requireAI, requireAiBudget, async (req, res) => {
+  const { error, value } = generateEmailSchema.validate(req.body);
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+
+  const { prompt, tone, emailType, variants, provider, model } = value;
+
+  if (variants > 1) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      details: ['"variants" is not supported when streaming']
+    });
+  }
+
+  await streamEmail(res, aiService.buildGenerateMessages(prompt, value), {
+    provider,
+    model,
+    onUsage: recordAiUsage(req),
+    tenantId: req.auth.tenant.id
+  }, () => ({
+    prompt,
+    tone,
+    emailType,
+    generatedAt: new Date().toISOString()
+  }), value.saveDraft ? (email, metadata) => saveDraft(req, email, metadata, 'generate') : null);
+});
+
+// Improve existing email using AI, streamed as Server-Sent Events
+router.post('/improve/stream', requireScope('generate'), requireAI, requireAiBudget, async (req, res) => {
+  const { error, value } = improveEmailSchema.validate(req.body);
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+
+  const target = improveTarget(req, res, value);
+
+  if (!target) {
+    return;
+  }
+
+  const { improvementRequest, provider, model } = value;
+
+  await streamEmail(res, aiService.buildImproveMessages(target.originalEmail, improvementRequest), {
+    provider,
+    model,
+    onUsage: recordAiUsage(req),
+    tenantId: req.auth.tenant.id
+  }, () => ({
+    improvementRequest,
+    improvedAt: new Date().toISOString()
+  }), target.draft ? email => saveImprovement(req, target.draft, email, improvementRequest) : null);
+});
+
+// Everything /send checks before queueing, shared with /preview. Sends the error
+// response and returns null when the request can't go out as it is; otherwise
+// returns the options for queueService.
+const prepareSend = (req, res) => {
+  const { error, value } = sendEmailSchema.validate(req.body);
+
+  if (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      details: error.details.map(detail => detail.message)
+    });
+    return null;
+  }
+
+  const { cc, bcc, replyTo, mode, emailType, templateId, split, senderName, sendAt, timezone, layout, listId, tags, tagMatch } = value;
+  const { tenant } = req.auth;
+  const senderProfile = value.senderProfile || tenantService.defaultProfileFor(tenant);
+
+  if (senderProfile && !tenantService.canUseProfile(tenant, senderProfile)) {
+    res.status(403).json({
+      success: false,
+      message: `Sender profile ${senderProfile} is not available to this tenant`
+    });
+    return null;
+  }
+
+  if (sendAt && queueService.resolveSendAt(sendAt, timezone).getTime() <= Date.now()) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      details: ['"sendAt" must be in the future']
     });
+    return null;
+  }
+  let { subject, body, bodyFormat } = value;
+  let generation = value.metadata || null;
+  let draft = null;
+
+  // An expired or unknown id still marks the email as AI-written, just without details
+  if (value.generationId) {
+    const record = draftService.getGeneration(value.generationId, tenant.id);
+    generation = { ...(record && record.metadata), ...generation, generationId: value.generationId };
+  }
+
+  if (value.draftId) {
+    draft = draftService.get(value.draftId, tenant.id);
+
+    if (!draft) {
+      res.status(404).json({
+        success: false,
+        message: 'Draft not found'
+      });
+      return null;
+    }
+
+    ({ subject, body, bodyFormat } = draftService.current(draft));
+    generation = generation || draft.metadata;
+  }
+
+  if (templateId) {
+    const template = templateService.get(templateId, req.auth.tenant.id);
+
+    if (!template) {
+      res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+      return null;
+    }
+
+    subject = subject || template.subject;
+    body = body || template.body;
+    generation = generation || template.metadata;
+  }
+
+  const variants = value.variants
+    ? value.variants.map((variant, index) => ({ ...variant, id: variant.id || String.fromCharCode(65 + index) }))
+    : null;
+
+  if (variants && split === 'percentage') {
+    const totalWeight = variants.reduce((sum, variant) => sum + (variant.weight || 0), 0);
+
+    if (Math.abs(totalWeight - 100) > 0.001) {
+      res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        details: [`Variant weights must add up to 100 for a percentage split (got ${totalWeight})`]
+      });
+      return null;
+    }
+  }
+
+  let recipients = value.recipients || [];
+  let variables = value.variables;
+
+  if (listId || tags) {
+    if (listId && !contactService.get(listId, tenant.id)) {
+      res.status(404).json({
+        success: false,
+        message: 'Contact list not found'
+      });
+      return null;
+    }
+
+    const contacts = contactService.select(tenant.id, { listId, tags, tagMatch });
+
+    if (contacts.length === 0) {
+      res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        details: ['No contacts match the given list and tags']
+      });
+      return null;
+    }
+
+    const listed = new Set(recipients.map(email => email.toLowerCase()));
+    recipients = [...recipients, ...contacts.map(contact => contact.email).filter(email => !listed.has(email))];
+
+    // Contact fields fill the placeholders and explicit variables win. A group
+    // message is one message for everyone, so it can't be personalized.
+    if (mode !== 'group') {
+      variables = { ...variables };
+      contacts.forEach(contact => {
+        variables[contact.email] = { ...contactService.variablesFor(contact), ...variables[contact.email] };
+      });
+    }
+  }
+
+  const contents = variants || [{ subject, body }];
+
+  const attachments = attachmentService.normalize({ attachments: value.attachments, files: req.files });
+  const attachmentErrors = attachmentService.validate(attachments, contents.map(content => content.body).join('\n'));
+
+  if (attachmentErrors.length > 0) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      details: attachmentErrors
+    });
+    return null;
+  }
+
+  // Every placeholder must be filled for every recipient when personalizing
+  if (templateId || variables) {
+    const missing = [...new Set(contents.flatMap(content =>
+      templateService.findMissingVariables(content, recipients, variables)
+    ))];
+
+    if (missing.length > 0) {
+      res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        details: missing
+      });
+      return null;
+    }
+  }
+
+  return {
+    recipients,
+    cc,
+    bcc,
+    replyTo,
+    mode,
+    emailType,
+    subject,
+    body,
+    bodyFormat,
+    layout,
+    senderName,
+    senderProfile,
+    templateId,
+    variables,
+    variants,
+    split,
+    sendAt,
+    timezone,
+    attachments,
+    tracking: value.tracking,
+    inReplyTo: value.inReplyTo,
+    references: value.references,
+    baseUrl: publicBaseUrl(req),
+    tenantId: tenant.id,
+    generation,
+    // Only kept in the send history; recipients already holds the contacts
+    listId,
+    tags,
+    draftId: draft ? draft.id : undefined,
+    draftVersion: draft ? draft.currentVersion : undefined
+  };
+};
+
+// Send email
+router.post('/send', requireScope('send'), attachmentUpload, (req, res, next) => {
+  try {
+    const options = prepareSend(req, res);
+
+    if (!options) {
+      return;
+    }
+
+    // Review comes before quota: a refused send shouldn't use any of it
+    const blocker = options.draftId
+      ? draftService.sendBlocker(draftService.get(options.draftId, req.auth.tenant.id))
+      : (draftService.approvalRequired && options.generation
+        ? { statusCode: 403, message: 'AI-generated emails must be sent as an approved draft; pass its "draftId"' }
+        : null);
+
+    if (blocker) {
+      return res.status(blocker.statusCode).json({
+        success: false,
+        message: blocker.message
+      });
+    }
+
+    const contentCheck = checkContent(req, options);
+
+    if (contentCheck.verdict === 'block') {
+      return res.status(422).json({
+        success: false,
+        message: 'The content policy blocks this email',
+        details: contentCheck.reasons,
+        data: { contentCheck }
+      });
+    }
+
+    const job = queueService.enqueue(options, { tenant: req.auth.tenant });
+
+    if (options.draftId) {
+      draftService.markSent(options.draftId, job.id);
+    }
+
+    res.status(202).json({
+      success: true,
+      message: job.scheduledFor
+        ? `Email scheduled for ${job.recipients.length} recipients at ${job.scheduledFor}`
+        : `Email queued for ${job.recipients.length} recipients`,
+      data: {
+        jobId: job.id,
+        status: job.status,
+        scheduledFor: job.scheduledFor,
+        totalRecipients: job.recipients.length,
+        contentCheck
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Dry run of /send: the same checks and rendering, without queueing or SMTP.
+// ?format=eml downloads one message as a raw .eml file instead.
+router.post('/preview', requireScope('send'), attachmentUpload, async (req, res, next) => {
+  try {
+    const { error: queryError, value: query } = previewQuerySchema.validate(req.query);
+
+    if (queryError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        details: queryError.details.map(detail => detail.message)
+      });
+    }
+
+    const options = prepareSend(req, res);
+
+    if (!options) {
+      return;
+    }
+
+    const preview = await queueService.preview(options, {
+      recipient: query.recipient,
+      limit: query.format === 'eml' ? 1 : query.limit
+    });
+
+    if (!preview) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recipient not found in this send'
+      });
+    }
+
+    // What /send would decide; a blocked email still previews
+    const contentCheck = checkContent(req, options);
+
+    if (query.format === 'eml') {
+      const [message] = preview.messages;
+
+      if (!message) {
+        return res.status(409).json({
+          success: false,
+          message: 'No recipient of this send would receive a message'
+        });
+      }
+
+      res.set('Content-Type', 'message/rfc822');
+      res.set('Content-Disposition', 'attachment; filename="preview.eml"');
+      res.set('X-Content-Verdict', contentCheck.verdict);
+      return res.status(200).send(message.raw);
+    }
 
     res.status(200).json({
       success: true,
-      message: `Email sent successfully to ${result.successful} out of ${result.totalRecipients} recipients`,
-      data: result
+      data: {
+        ...preview,
+        // The raw source is what ?format=eml is for
+        messages: preview.messages.map(({ raw, ...message }) => message),
+        contentCheck
+      }
     });
 
   } catch (error) {
@@ -165,28 +893,116 @@ router.post('/send', async (req, res, next) => {
   }
 });
 
+// Remaining sending and AI quota for the calling tenant
+router.get('/quota', (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: quotaService.report(req.auth.tenant)
+  });
+});
+
+// Get send job progress and per-recipient status
+router.get('/jobs/:id', requireScope('send'), (req, res) => {
+  const job = queueService.getJob(req.params.id, req.auth.tenant.id);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      message: 'Job not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: queueService.summarize(job)
+  });
+});
+
+// Get open and click statistics for a send job
+router.get('/jobs/:id/stats', requireScope('send'), (req, res) => {
+  const job = queueService.getJob(req.params.id, req.auth.tenant.id);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      message: 'Job not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      tracking: job.tracking ? { opens: job.tracking.opens, clicks: job.tracking.clicks } : null,
+      ...trackingService.getJobStats(job)
+    }
+  });
+});
+
+// List pending scheduled sends
+router.get('/scheduled', requireScope('send'), (req, res) => {
+  const jobs = queueService.listScheduled(req.auth.tenant.id).map(job => ({
+    id: job.id,
+    scheduledFor: job.scheduledFor,
+    timezone: job.timezone,
+    subject: job.message.subject,
+    totalRecipients: job.recipients.length,
+    createdAt: job.createdAt
+  }));
+
+  res.status(200).json({
+    success: true,
+    data: jobs
+  });
+});
+
+// Cancel a pending scheduled send
+router.delete('/scheduled/:id', requireScope('send'), (req, res) => {
+  const job = queueService.cancelScheduled(req.params.id, req.auth.tenant.id);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      message: 'Scheduled send not found or already started'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Scheduled send cancelled',
+    data: { id: job.id, status: job.status }
+  });
+});
+
 // Validate email addresses
-router.post('/validate', (req, res) => {
+router.post('/validate', requireScope('send'), async (req, res) => {
   try {
-    const { emails } = req.body;
-    
-    if (!Array.isArray(emails)) {
+    const { error, value } = validateEmailsSchema.validate(req.body);
+
+    if (error) {
       return res.status(400).json({
         success: false,
-        message: 'Emails must be provided as an array'
+        message: 'Validation error',
+        details: error.details.map(detail => detail.message)
       });
     }
 
-    const { validEmails, errors } = emailService.validateEmailList(emails);
+    const results = await validationService.validate(value.emails, { checkMx: value.checkMx });
+    const count = status => results.filter(result => result.status === status).length;
 
     res.status(200).json({
       success: true,
       message: 'Email validation completed',
       data: {
-        validEmails,
-        invalidEmails: errors,
-        totalValid: validEmails.length,
-        totalInvalid: errors.length
+        results,
+        // Normalized, de-duplicated addresses that are safe to send to
+        validEmails: results
+          .filter(result => result.status !== 'invalid' && !result.duplicate)
+          .map(result => result.email),
+        invalidEmails: results.filter(result => result.status === 'invalid').map(result => result.input),
+        totalValid: count('valid'),
+        totalRisky: count('risky'),
+        totalInvalid: count('invalid'),
+        totalDuplicates: results.filter(result => result.duplicate).length
       }
     });
 
@@ -200,9 +1016,16 @@ router.post('/validate', (req, res) => {
 });
 
 // Test email service connection
-router.get('/test-connection', async (req, res, next) => {
+router.get('/test-connection', requireScope('admin'), async (req, res, next) => {
   try {
-    const result = await emailService.testConnection();
+    if (req.query.profile && !tenantService.canUseProfile(req.auth.tenant, req.query.profile)) {
+      return res.status(403).json({
+        success: false,
+        message: `Sender profile ${req.query.profile} is not available to this tenant`
+      });
+    }
+
+    const result = await emailService.testConnection(req.query.profile || tenantService.defaultProfileFor(req.auth.tenant));
     res.status(200).json({
       success: true,
       message: result.message
@@ -213,9 +1036,8 @@ router.get('/test-connection', async (req, res, next) => {
 });
 
 // Get email service status
-router.get('/status', (req, res) => {
-  const isConfigured = !!(process.env.EMAIL_HOST && process.env.EMAIL_USER && process.env.EMAIL_PASS);
-  const isAIConfigured = !!process.env.OPENAI_API_KEY;
+router.get('/status', requireScope('admin'), (req, res) => {
+  const isConfigured = !!emailService.transporter;
 
   res.status(200).json({
     success: true,
@@ -223,11 +1045,16 @@ router.get('/status', (req, res) => {
       emailService: {
         configured: isConfigured,
         host: process.env.EMAIL_HOST || 'Not configured',
-        user: process.env.EMAIL_USER ? process.env.EMAIL_USER.replace(/(.{3}).*@/, '$1***@') : 'Not configured'
+        user: process.env.EMAIL_USER ? process.env.EMAIL_USER.replace(/(.{3}).*@/, '$1***@') : 'Not configured',
+        defaultProfile: emailService.defaultProfile,
+        profiles: emailService.getProfileStatus()
+          .filter(profile => tenantService.canUseProfile(req.auth.tenant, profile.name))
       },
-      aiService: {
-        configured: isAIConfigured,
-        provider: process.env.OPENAI_API_KEY && process.env.OPENAI_API_KEY.startsWith('gsk_') ? 'Groq' : 'OpenAI'
+      aiService: aiService.getStatus(),
+      tenant: {
+        id: req.auth.tenant.id,
+        name: req.auth.tenant.name,
+        scopes: req.auth.scopes
       },
       server: {
         environment: process.env.NODE_ENV || 'development',
@@ -0,0 +1,63 @@
+const express = require('express');
+const Joi = require('joi');
+const historyService = require('../services/historyService');
+const { requireScope } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(requireScope('send'));
+
+// Validation schemas
+const listHistorySchema = Joi.object({
+  recipient: Joi.string().email().optional(),
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().min(Joi.ref('from')).optional(),
+  status: Joi.string().valid('pending', 'sent', 'partial', 'failed', 'bounced', 'suppressed', 'scheduled', 'cancelled').optional(),
+  emailType: Joi.string().valid('general', 'business', 'marketing', 'follow-up', 'invitation').optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+// List sends, newest first
+router.get('/', (req, res) => {
+  const { error, value } = listHistorySchema.validate(req.query);
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+
+  const { items, pagination } = historyService.list(req.auth.tenant.id, {
+    ...value,
+    from: value.from && value.from.toISOString(),
+    to: value.to && value.to.toISOString()
+  });
+
+  res.status(200).json({
+    success: true,
+    data: items,
+    pagination
+  });
+});
+
+// Get one send with its request and every rendered message
+router.get('/:id', (req, res) => {
+  const entry = historyService.get(req.params.id, req.auth.tenant.id);
+
+  if (!entry) {
+    return res.status(404).json({
+      success: false,
+      message: 'History entry not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: entry
+  });
+});
+
+module.exports = router;
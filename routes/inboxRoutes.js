@@ -0,0 +1,268 @@
+const express = require('express');
+const Joi = require('joi');
+const aiService = require('../services/aiService');
+const draftService = require('../services/draftService');
+const inboundService = require('../services/inboundService');
+const quotaService = require('../services/quotaService');
+const tenantService = require('../services/tenantService');
+const { INBOX_STATUS } = require('../services/inboundService');
+const { INTENTS } = require('../services/structuredOutput');
+const { PROVIDERS } = require('../services/aiProviders');
+const { requireScope, actorOf } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(requireScope('send'));
+
+// Validation schemas
+const listInboxSchema = Joi.object({
+  status: Joi.string().valid(...Object.values(INBOX_STATUS)).optional(),
+  intent: Joi.string().valid(...INTENTS).optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const updateDraftSchema = Joi.object({
+  subject: Joi.string().min(1).max(200),
+  body: Joi.string().min(1).max(10000),
+  recipients: Joi.array().items(Joi.string().email()).min(1).max(50),
+  cc: Joi.array().items(Joi.string().email()).max(50)
+}).min(1);
+
+const triageSchema = Joi.object({
+  prompt: Joi.string().max(1000).optional(),
+  tone: Joi.string().valid('professional', 'casual', 'formal', 'friendly').optional(),
+  provider: Joi.string().valid(...Object.keys(PROVIDERS)).optional(),
+  model: Joi.string().max(100).optional()
+});
+
+const messageNotFound = res => res.status(404).json({
+  success: false,
+  message: 'Inbox message not found'
+});
+
+const wrongStatus = (res, item, action) => res.status(409).json({
+  success: false,
+  message: `Cannot ${action} a message that is ${item.status}`
+});
+
+// List received messages, newest first
+router.get('/', (req, res) => {
+  const { error, value } = listInboxSchema.validate(req.query);
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+
+  const { items, pagination } = inboundService.list(req.auth.tenant.id, value);
+
+  res.status(200).json({
+    success: true,
+    data: items,
+    pagination
+  });
+});
+
+// Get one message with its body and draft reply
+router.get('/:id', (req, res) => {
+  const item = inboundService.get(req.params.id, req.auth.tenant.id);
+
+  if (!item) {
+    return messageNotFound(res);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: item
+  });
+});
+
+// Edit the draft reply before approving it
+router.put('/:id/draft', (req, res, next) => {
+  try {
+    const { error, value } = updateDraftSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    const item = inboundService.get(req.params.id, req.auth.tenant.id);
+
+    if (!item) {
+      return messageNotFound(res);
+    }
+
+    if (item.status !== INBOX_STATUS.PENDING) {
+      return wrongStatus(res, item, 'edit the draft of');
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Draft updated successfully',
+      data: inboundService.updateDraft(item.id, value, { editor: actorOf(req) })
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Classify the message and draft a reply again, e.g. with instructions in "prompt"
+router.post('/:id/triage', requireScope('generate'), async (req, res, next) => {
+  try {
+    const { error, value } = triageSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    const item = inboundService.get(req.params.id, req.auth.tenant.id);
+
+    if (!item) {
+      return messageNotFound(res);
+    }
+
+    if ([INBOX_STATUS.SENT, INBOX_STATUS.DISCARDED].includes(item.status)) {
+      return wrongStatus(res, item, 'triage');
+    }
+
+    if (!aiService.isAvailable(value.provider || undefined)) {
+      return res.status(503).json({
+        success: false,
+        message: value.provider ? `AI provider "${value.provider}" is not configured` : 'AI service is not configured'
+      });
+    }
+
+    quotaService.checkAiBudget(req.auth.tenant);
+
+    const { prompt, ...options } = value;
+    const updated = await inboundService.triage(item.id, { ...options, instructions: prompt, requestedBy: actorOf(req) });
+
+    if (updated.error) {
+      return res.status(502).json({
+        success: false,
+        message: `Triage failed: ${updated.error}`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: updated.draft ? 'Reply drafted successfully' : 'The message needs no reply',
+      data: updated
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Send the draft reply
+router.post('/:id/approve', (req, res, next) => {
+  try {
+    const item = inboundService.get(req.params.id, req.auth.tenant.id);
+
+    if (!item) {
+      return messageNotFound(res);
+    }
+
+    if (item.status !== INBOX_STATUS.PENDING) {
+      return wrongStatus(res, item, 'approve');
+    }
+
+    // Drafts from before content checks have none; approving one is a human decision anyway
+    const { contentCheck } = item.draft;
+
+    if (contentCheck && contentCheck.verdict === 'block') {
+      return res.status(422).json({
+        success: false,
+        message: 'The content policy blocks this reply; edit the draft first',
+        details: contentCheck.reasons,
+        data: { contentCheck }
+      });
+    }
+
+    // With DRAFT_APPROVAL_REQUIRED the AI's reply is approved like a draft: by an
+    // admin who didn't edit it or steer its triage
+    if (draftService.approvalRequired) {
+      if (!tenantService.hasScope(req.auth, 'admin')) {
+        return res.status(403).json({
+          success: false,
+          message: 'This credential lacks the "admin" scope'
+        });
+      }
+
+      const blocker = !tenantService.authDisabled && draftService.reviewBlocker(item.draft.editors || [], actorOf(req));
+
+      if (blocker) {
+        return res.status(blocker.statusCode).json({
+          success: false,
+          message: blocker.message
+        });
+      }
+    }
+
+    const updated = inboundService.sendReply(item.id, { approvedBy: actorOf(req) });
+
+    res.status(202).json({
+      success: true,
+      message: `Reply queued for ${updated.draft.recipients.join(', ')}`,
+      data: {
+        id: updated.id,
+        status: updated.status,
+        jobId: updated.jobId
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Drop the draft without replying
+router.post('/:id/discard', (req, res) => {
+  const item = inboundService.get(req.params.id, req.auth.tenant.id);
+
+  if (!item) {
+    return messageNotFound(res);
+  }
+
+  if (item.status === INBOX_STATUS.SENT) {
+    return wrongStatus(res, item, 'discard');
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Message discarded',
+    data: inboundService.summarize(inboundService.discard(item.id))
+  });
+});
+
+// Delete a message from the inbox
+router.delete('/:id', (req, res) => {
+  const item = inboundService.get(req.params.id, req.auth.tenant.id);
+
+  if (!item) {
+    return messageNotFound(res);
+  }
+
+  inboundService.remove(item.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Message deleted successfully'
+  });
+});
+
+module.exports = router;
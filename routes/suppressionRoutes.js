@@ -0,0 +1,95 @@
+const express = require('express');
+const Joi = require('joi');
+const suppressionService = require('../services/suppressionService');
+const { SCOPES } = require('../services/suppressionService');
+const tenantService = require('../services/tenantService');
+const { requireScope } = require('../middleware/auth');
+
+const router = express.Router();
+
+// The list blocks addresses for every tenant. A tenant's admin sees and removes
+// only what the tenant imported; the operator sees and removes everything.
+router.use(requireScope('admin'));
+
+// null for the operator: no tenant filter
+const tenantFilter = req => (tenantService.hasScope(req.auth, 'operator') ? null : req.auth.tenant.id);
+
+// Validation schemas
+const importSuppressionsSchema = Joi.object({
+  emails: Joi.array().items(Joi.string().email()).required().min(1).max(10000),
+  reason: Joi.string().max(100).default('manual'),
+  // marketing: only marketing sends are blocked, all: every send is blocked
+  scope: Joi.string().valid(...SCOPES).default('all')
+});
+
+const CSV_COLUMNS = ['email', 'scope', 'reason', 'source', 'createdAt'];
+
+const csvValue = value => {
+  const text = value == null ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// List (or export as CSV with ?format=csv) suppressed addresses
+router.get('/', (req, res) => {
+  const suppressions = suppressionService.list(tenantFilter(req));
+
+  if (req.query.format === 'csv') {
+    const rows = suppressions.map(entry => CSV_COLUMNS.map(column => csvValue(entry[column])).join(','));
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', 'attachment; filename="suppressions.csv"');
+    return res.status(200).send([CSV_COLUMNS.join(','), ...rows].join('\n'));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: suppressions
+  });
+});
+
+// Import addresses into the suppression list
+router.post('/import', (req, res, next) => {
+  try {
+    const { error, value } = importSuppressionsSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    const { emails, reason, scope } = value;
+    const imported = [...new Set(emails.map(email => suppressionService.normalize(email)))]
+      .map(email => suppressionService.add(email, { reason, scope, source: 'import', tenantId: req.auth.tenant.id }));
+
+    res.status(200).json({
+      success: true,
+      message: `${imported.length} addresses added to the suppression list`,
+      data: {
+        imported: imported.length
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Remove an address from the suppression list
+router.delete('/:email', (req, res) => {
+  if (!suppressionService.remove(req.params.email, tenantFilter(req))) {
+    return res.status(404).json({
+      success: false,
+      message: 'Address is not suppressed'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Address removed from the suppression list'
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,139 @@
+const express = require('express');
+const Joi = require('joi');
+const draftService = require('../services/draftService');
+const templateService = require('../services/templateService');
+const { requireScope } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(requireScope('send'));
+
+// Validation schemas
+const createTemplateSchema = Joi.object({
+  name: Joi.string().required().min(1).max(100),
+  description: Joi.string().optional().allow('').max(500),
+  subject: Joi.string().required().min(1).max(200),
+  body: Joi.string().required().min(10),
+  // Accept the metadata block returned by /generate so its output can be saved as-is
+  metadata: Joi.object().optional(),
+  // The AI output's "generationId"; sends from the template then count as AI-written
+  generationId: Joi.string().max(100).optional()
+});
+
+const updateTemplateSchema = Joi.object({
+  name: Joi.string().min(1).max(100),
+  description: Joi.string().allow('').max(500),
+  subject: Joi.string().min(1).max(200),
+  body: Joi.string().min(10),
+  metadata: Joi.object(),
+  generationId: Joi.string().max(100)
+}).min(1);
+
+// Fold a generationId into the template's metadata, as /send does
+const withGeneration = ({ generationId, ...value }, tenantId) => {
+  if (!generationId) {
+    return value;
+  }
+
+  const record = draftService.getGeneration(generationId, tenantId);
+  return { ...value, metadata: { ...(record && record.metadata), ...value.metadata, generationId } };
+};
+
+const templateNotFound = res => res.status(404).json({
+  success: false,
+  message: 'Template not found'
+});
+
+// List templates
+router.get('/', (req, res) => {
+  const templates = templateService.list(req.auth.tenant.id);
+
+  res.status(200).json({
+    success: true,
+    data: templates
+  });
+});
+
+// Get a single template
+router.get('/:id', (req, res) => {
+  const template = templateService.get(req.params.id, req.auth.tenant.id);
+
+  if (!template) {
+    return templateNotFound(res);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: template
+  });
+});
+
+// Create template
+router.post('/', (req, res, next) => {
+  try {
+    const { error, value } = createTemplateSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    const template = templateService.create(withGeneration(value, req.auth.tenant.id), req.auth.tenant.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Template created successfully',
+      data: template
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update template
+router.put('/:id', (req, res, next) => {
+  try {
+    const { error, value } = updateTemplateSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    const template = templateService.update(req.params.id, withGeneration(value, req.auth.tenant.id), req.auth.tenant.id);
+
+    if (!template) {
+      return templateNotFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Template updated successfully',
+      data: template
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete template
+router.delete('/:id', (req, res) => {
+  if (!templateService.remove(req.params.id, req.auth.tenant.id)) {
+    return templateNotFound(res);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Template deleted successfully'
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,38 @@
+const express = require('express');
+const trackingService = require('../services/trackingService');
+
+const router = express.Router();
+
+const requestMeta = req => ({
+  ip: req.ip,
+  userAgent: req.get('user-agent') || null
+});
+
+// Open tracking pixel. Always answers with the image so mail clients never show a broken one.
+router.get('/o/:id', (req, res) => {
+  trackingService.recordOpen(req.params.id, requestMeta(req));
+
+  res.set({
+    'Content-Type': 'image/gif',
+    'Cache-Control': 'no-store, no-cache, must-revalidate, private',
+    // Webmail loads the pixel from its own origin; helmet defaults to same-origin
+    'Cross-Origin-Resource-Policy': 'cross-origin'
+  });
+  res.status(200).send(trackingService.pixel);
+});
+
+// Click tracking redirect. Only redirects to links recorded when the message was sent.
+router.get('/c/:id', (req, res) => {
+  const url = trackingService.recordClick(req.params.id, requestMeta(req));
+
+  if (!url) {
+    return res.status(404).json({
+      success: false,
+      message: 'Link not found'
+    });
+  }
+
+  res.redirect(302, url);
+});
+
+module.exports = router;
@@ -0,0 +1,53 @@
+const express = require('express');
+const suppressionService = require('../services/suppressionService');
+const renderService = require('../services/renderService');
+
+const router = express.Router();
+
+const page = (title, content) => `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${title}</title></head>
+<body style="font-family:Arial,sans-serif;max-width:480px;margin:60px auto;text-align:center;color:#333333">
+<h2>${title}</h2>
+${content}
+</body>
+</html>`;
+
+const invalidLink = res => res.status(400).send(page(
+  'Invalid unsubscribe link',
+  '<p>This link is invalid or has been altered. Please use the link from the email you received.</p>'
+));
+
+// Confirmation page. Unsubscribing only happens on POST, so link scanners that
+// prefetch URLs in emails can't unsubscribe anyone.
+router.get('/:token', (req, res) => {
+  const email = suppressionService.verifyToken(req.params.token);
+
+  if (!email) {
+    return invalidLink(res);
+  }
+
+  res.status(200).send(page('Unsubscribe', `
+<p>Stop receiving marketing emails at <strong>${renderService.escapeHtml(email)}</strong>?</p>
+<form method="POST">
+  <input type="hidden" name="List-Unsubscribe" value="One-Click">
+  <button type="submit">Unsubscribe</button>
+</form>`));
+});
+
+// RFC 8058 one-click unsubscribe; mail clients POST here straight from the List-Unsubscribe header
+router.post('/:token', (req, res) => {
+  const email = suppressionService.verifyToken(req.params.token);
+
+  if (!email) {
+    return invalidLink(res);
+  }
+
+  suppressionService.add(email, { reason: 'unsubscribe', scope: 'marketing', source: 'link' });
+  console.log(`🚫 ${email} unsubscribed`);
+
+  res.status(200).send(page('Unsubscribed', `
+<p><strong>${renderService.escapeHtml(email)}</strong> will no longer receive marketing emails from us.</p>`));
+});
+
+module.exports = router;
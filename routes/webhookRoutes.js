@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+const express = require('express');
+const Joi = require('joi');
+const bounceService = require('../services/bounceService');
+const inboundService = require('../services/inboundService');
+
+const router = express.Router();
+
+// SNS posts JSON as text/plain, and raw DSNs and inbound mail arrive as the message itself
+router.use(express.text({ type: ['text/plain', 'message/*', 'multipart/report'], limit: '10mb' }));
+
+// Callers must pass the secret in `secretVariable` as ?token= or X-Webhook-Token,
+// so nobody else can get addresses suppressed or fill the inbox. Without the
+// secret the endpoint stays closed.
+const webhookToken = secretVariable => (req, res, next) => {
+  const secret = process.env[secretVariable];
+
+  if (!secret) {
+    return res.status(503).json({
+      success: false,
+      message: `Webhook is not configured; set ${secretVariable}`
+    });
+  }
+
+  const expected = Buffer.from(secret);
+  const actual = Buffer.from(String(req.query.token || req.get('x-webhook-token') || ''));
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid webhook token'
+    });
+  }
+
+  next();
+};
+
+const requireWebhookToken = webhookToken('BOUNCE_WEBHOOK_SECRET');
+
+const parseBody = body => {
+  if (typeof body !== 'string') {
+    return body;
+  }
+
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    return null;
+  }
+};
+
+// What a normalized event needs before it may touch a job or the suppression
+// list. Providers' payloads are only loosely checked when they are detected.
+const eventSchema = Joi.object({
+  type: Joi.string().valid('bounce', 'complaint').required(),
+  bounceType: Joi.string().valid('hard', 'soft').allow(null),
+  email: Joi.string().email().required(),
+  messageId: Joi.string().allow(null)
+}).unknown(true);
+
+// Process the events that validate and report the rest as skipped. A payload
+// with nothing valid in it is a 400.
+const processEvents = (res, provider, events) => {
+  const valid = [];
+  const skipped = [];
+
+  events.forEach((event, index) => {
+    const { error } = eventSchema.validate(event, { abortEarly: false });
+
+    if (error) {
+      skipped.push(...error.details.map(detail => `Event ${index}: ${detail.message}`));
+    } else {
+      valid.push(event);
+    }
+  });
+
+  if (skipped.length > 0 && valid.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      details: skipped
+    });
+  }
+
+  const result = bounceService.process(valid, provider);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      provider,
+      processed: result.processed,
+      matched: result.matched,
+      suppressed: result.suppressed,
+      events: result.events,
+      skipped
+    }
+  });
+};
+
+// Bounce and complaint events from SES (via SNS), SendGrid, Mailgun, Postmark or our generic format
+router.post('/bounces', requireWebhookToken, async (req, res, next) => {
+  try {
+    const payload = parseBody(req.body);
+
+    if (bounceService.isSnsMessage(payload) && !(await bounceService.verifySnsMessage(payload))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid SNS message signature'
+      });
+    }
+
+    // SNS has to be told we want the messages before it sends any
+    if (payload && payload.Type === 'SubscriptionConfirmation') {
+      if (!bounceService.isSnsUrl(payload.SubscribeURL)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Unexpected SubscribeURL'
+        });
+      }
+
+      await fetch(payload.SubscribeURL);
+      console.log(`📬 Confirmed SNS subscription for ${payload.TopicArn}`);
+      return res.status(200).json({ success: true, message: 'Subscription confirmed' });
+    }
+
+    const { provider, events } = bounceService.normalize(payload);
+
+    if (!provider) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unrecognized webhook payload'
+      });
+    }
+
+    processEvents(res, provider, events);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Raw RFC 3464 delivery status notification, posted as the message itself or as { "raw": "..." }
+router.post('/bounces/dsn', requireWebhookToken, (req, res, next) => {
+  try {
+    const raw = typeof req.body === 'string' ? req.body : req.body && req.body.raw;
+
+    if (!raw) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        details: ['Request body must be a raw DSN message']
+      });
+    }
+
+    processEvents(res, 'dsn', bounceService.parseDsn(raw));
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Inbound email as raw MIME, posted as the message itself or as { "raw": "...", "recipients": [...] }.
+// Stored right away; the AI triage runs after the response.
+router.post('/inbound', webhookToken('INBOUND_WEBHOOK_SECRET'), (req, res, next) => {
+  try {
+    const raw = typeof req.body === 'string' ? req.body : req.body && req.body.raw;
+    const recipients = typeof req.body === 'object' && Array.isArray(req.body.recipients) ? req.body.recipients.map(String) : [];
+
+    if (!raw) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        details: ['Request body must be a raw email message']
+      });
+    }
+
+    const item = inboundService.receive(raw, { source: 'webhook', recipients });
+
+    res.status(item.duplicate ? 200 : 202).json({
+      success: true,
+      message: item.duplicate ? 'Message already received' : 'Message received',
+      data: {
+        id: item.id,
+        status: item.status,
+        ignoredReason: item.ignoredReason
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
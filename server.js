@@ -5,6 +5,21 @@ const rateLimit = require('express-rate-limit');
 require('dotenv').config();
 
 const emailRoutes = require('./routes/emailRoutes');
+const templateRoutes = require('./routes/templateRoutes');
+const contactRoutes = require('./routes/contactRoutes');
+const domainRoutes = require('./routes/domainRoutes');
+const inboxRoutes = require('./routes/inboxRoutes');
+const draftRoutes = require('./routes/draftRoutes');
+const historyRoutes = require('./routes/historyRoutes');
+const trackingRoutes = require('./routes/trackingRoutes');
+const suppressionRoutes = require('./routes/suppressionRoutes');
+const unsubscribeRoutes = require('./routes/unsubscribeRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const queueService = require('./services/queueService');
+const inboundService = require('./services/inboundService');
+const historyService = require('./services/historyService');
+const tenantService = require('./services/tenantService');
+const { authenticate } = require('./middleware/auth');
 const { errorHandler } = require('./middleware/errorHandler');
 
 const app = express();
@@ -21,10 +36,10 @@ const limiter = rateLimit({
 });
 app.use(limiter);
 
-// Allow all origins
+// Only origins on some tenant's allowlist; each tenant's own list is enforced in authenticate
 app.use(cors({
-  origin: '*',
-  credentials: false  // Must be false when origin is '*'
+  origin: (origin, callback) => callback(null, tenantService.authDisabled || !origin || tenantService.isKnownOrigin(origin)),
+  credentials: false
 }));
 
 // Body parsing middleware
@@ -32,7 +47,18 @@ app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Routes
+app.use('/api/email', authenticate);
+app.use('/api/email/templates', templateRoutes);
+app.use('/api/email/lists', contactRoutes);
+app.use('/api/email/domains', domainRoutes);
+app.use('/api/email/inbox', inboxRoutes);
+app.use('/api/email/drafts', draftRoutes);
+app.use('/api/email/suppressions', suppressionRoutes);
+app.use('/api/email/history', historyRoutes);
 app.use('/api/email', emailRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/t', trackingRoutes);
+app.use('/unsubscribe', unsubscribeRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -57,4 +83,7 @@ app.use('*', (req, res) => {
 app.listen(PORT, () => {
   console.log(`🚀 Server is running on port ${PORT}`);
   console.log(`📧 Email Sender API ready at http://localhost:${PORT}`);
+  queueService.start();
+  historyService.startRetention();
+  inboundService.startSmtp();
 });
\ No newline at end of file
@@ -0,0 +1,122 @@
+const OpenAI = require('openai');
+
+const number = value => (value === undefined || value === '' ? undefined : Number(value));
+
+const azureApiVersion = env => env.AZURE_OPENAI_API_VERSION || '2024-02-01';
+
+// Every provider speaks the OpenAI chat completions API; they differ in where
+// it lives, how they authenticate and which model they default to. jsonMode and
+// streamUsage say whether it accepts response_format and stream_options.
+const PROVIDERS = {
+  openai: {
+    label: 'OpenAI',
+    jsonMode: () => true,
+    streamUsage: () => true,
+    fromEnv: env => env.OPENAI_API_KEY && !env.OPENAI_API_KEY.startsWith('gsk_') && {
+      apiKey: env.OPENAI_API_KEY,
+      baseURL: env.OPENAI_BASE_URL,
+      model: env.OPENAI_MODEL || 'gpt-3.5-turbo',
+      temperature: number(env.OPENAI_TEMPERATURE),
+      maxTokens: number(env.OPENAI_MAX_TOKENS)
+    },
+    createClient: config => new OpenAI({
+      apiKey: config.apiKey,
+      baseURL: config.baseURL
+    })
+  },
+
+  groq: {
+    label: 'Groq',
+    jsonMode: () => true,
+    streamUsage: () => true,
+    // Older setups put a Groq key (gsk_...) in OPENAI_API_KEY; still honour that
+    fromEnv: env => {
+      const apiKey = env.GROQ_API_KEY || (env.OPENAI_API_KEY && env.OPENAI_API_KEY.startsWith('gsk_') && env.OPENAI_API_KEY);
+      return apiKey && {
+        apiKey,
+        baseURL: env.GROQ_BASE_URL || 'https://api.groq.com/openai/v1',
+        model: env.GROQ_MODEL || 'llama3-8b-8192',
+        temperature: number(env.GROQ_TEMPERATURE),
+        maxTokens: number(env.GROQ_MAX_TOKENS)
+      };
+    },
+    createClient: config => new OpenAI({
+      apiKey: config.apiKey,
+      baseURL: config.baseURL
+    })
+  },
+
+  azure: {
+    label: 'Azure OpenAI',
+    jsonMode: () => true,
+    // stream_options is rejected before API version 2024-09-01
+    streamUsage: env => azureApiVersion(env) >= '2024-09-01',
+    fromEnv: env => env.AZURE_OPENAI_API_KEY && env.AZURE_OPENAI_ENDPOINT && env.AZURE_OPENAI_DEPLOYMENT && {
+      apiKey: env.AZURE_OPENAI_API_KEY,
+      baseURL: `${env.AZURE_OPENAI_ENDPOINT.replace(/\/+$/, '')}/openai/deployments/${env.AZURE_OPENAI_DEPLOYMENT}`,
+      apiVersion: azureApiVersion(env),
+      // Azure routes by deployment; the model name is informational
+      model: env.AZURE_OPENAI_MODEL || env.AZURE_OPENAI_DEPLOYMENT,
+      temperature: number(env.AZURE_OPENAI_TEMPERATURE),
+      maxTokens: number(env.AZURE_OPENAI_MAX_TOKENS)
+    },
+    createClient: config => new OpenAI({
+      apiKey: config.apiKey,
+      baseURL: config.baseURL,
+      defaultQuery: { 'api-version': config.apiVersion },
+      defaultHeaders: { 'api-key': config.apiKey }
+    })
+  },
+
+  // Any OpenAI-compatible server on your own machine or network, e.g. Ollama
+  local: {
+    label: 'Local',
+    // Not every local server understands response_format, so it's opt-in
+    jsonMode: env => env.LOCAL_AI_JSON_MODE === 'true',
+    streamUsage: env => env.LOCAL_AI_STREAM_USAGE === 'true',
+    fromEnv: env => env.LOCAL_AI_BASE_URL && {
+      apiKey: env.LOCAL_AI_API_KEY || 'not-needed',
+      baseURL: env.LOCAL_AI_BASE_URL,
+      model: env.LOCAL_AI_MODEL || 'llama3',
+      temperature: number(env.LOCAL_AI_TEMPERATURE),
+      maxTokens: number(env.LOCAL_AI_MAX_TOKENS)
+    },
+    createClient: config => new OpenAI({
+      apiKey: config.apiKey,
+      baseURL: config.baseURL
+    })
+  }
+};
+
+// Build a client for every provider that has enough configuration
+const loadProviders = (env = process.env) => {
+  const defaults = {
+    temperature: number(env.AI_TEMPERATURE) ?? 0.7,
+    maxTokens: number(env.AI_MAX_TOKENS) ?? 1000
+  };
+  const providers = new Map();
+
+  Object.entries(PROVIDERS).forEach(([name, definition]) => {
+    const config = definition.fromEnv(env);
+
+    if (!config) {
+      return;
+    }
+
+    providers.set(name, {
+      name,
+      label: definition.label,
+      jsonMode: definition.jsonMode(env),
+      streamUsage: definition.streamUsage(env),
+      baseURL: config.baseURL || null,
+      model: config.model,
+      temperature: config.temperature ?? defaults.temperature,
+      maxTokens: config.maxTokens ?? defaults.maxTokens,
+      client: definition.createClient(config)
+    });
+  });
+
+  return providers;
+};
+
+module.exports = { PROVIDERS, loadProviders };
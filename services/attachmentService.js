@@ -0,0 +1,144 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_ALLOWED_TYPES = [
+  'application/pdf',
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'text/plain',
+  'text/csv',
+  'text/calendar',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/zip'
+];
+
+class AttachmentService {
+  constructor() {
+    this.maxFileBytes = parseInt(process.env.ATTACHMENT_MAX_BYTES) || 5 * 1024 * 1024;
+    this.maxTotalBytes = parseInt(process.env.ATTACHMENT_MAX_TOTAL_BYTES) || 10 * 1024 * 1024;
+    this.maxCount = parseInt(process.env.ATTACHMENT_MAX_COUNT) || 10;
+    this.allowedTypes = process.env.ATTACHMENT_ALLOWED_TYPES
+      ? process.env.ATTACHMENT_ALLOWED_TYPES.split(',').map(type => type.trim().toLowerCase())
+      : DEFAULT_ALLOWED_TYPES;
+  }
+
+  // Queued attachments are kept here, one directory per job, so the job store
+  // only holds their names and never the file contents
+  get dir() {
+    const dataDir = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+    return path.join(dataDir, 'attachments');
+  }
+
+  // "text/plain; charset=utf-8" -> "text/plain"
+  baseType(contentType) {
+    return contentType.split(';')[0].trim().toLowerCase();
+  }
+
+  // Bring base64 attachments from the JSON body and multer uploads into one shape.
+  // Uploaded files in the "inline" field are embedded with their filename as cid.
+  normalize({ attachments = [], files = {} }) {
+    const fromBody = attachments.map(attachment => ({
+      filename: attachment.filename,
+      contentType: this.baseType(attachment.contentType),
+      content: attachment.content.replace(/\s/g, ''),
+      cid: attachment.cid || null
+    }));
+
+    const fromUpload = (list, inline) => (list || []).map(file => ({
+      filename: file.originalname,
+      contentType: this.baseType(file.mimetype),
+      content: file.buffer.toString('base64'),
+      cid: inline ? file.originalname : null
+    }));
+
+    return [
+      ...fromBody,
+      ...fromUpload(files.attachments, false),
+      ...fromUpload(files.inline, true)
+    ].map(attachment => ({
+      ...attachment,
+      size: Buffer.byteLength(attachment.content, 'base64')
+    }));
+  }
+
+  // Returns a list of error messages; empty when the attachments are acceptable
+  validate(attachments, body = '') {
+    const errors = [];
+    let totalBytes = 0;
+
+    if (attachments.length > this.maxCount) {
+      errors.push(`Too many attachments (maximum ${this.maxCount})`);
+    }
+
+    attachments.forEach(attachment => {
+      totalBytes += attachment.size;
+
+      if (!this.allowedTypes.includes(attachment.contentType)) {
+        errors.push(`Attachment type not allowed: ${attachment.filename} (${attachment.contentType})`);
+      }
+
+      if (attachment.cid && !attachment.contentType.startsWith('image/')) {
+        errors.push(`Inline attachment must be an image: ${attachment.filename}`);
+      }
+
+      if (attachment.size > this.maxFileBytes) {
+        errors.push(`Attachment too large: ${attachment.filename} (maximum ${this.maxFileBytes} bytes)`);
+      }
+    });
+
+    if (totalBytes > this.maxTotalBytes) {
+      errors.push(`Attachments exceed total size limit of ${this.maxTotalBytes} bytes`);
+    }
+
+    // Every cid: image referenced from the body needs a matching inline attachment
+    const cids = new Set(attachments.filter(a => a.cid).map(a => a.cid));
+    for (const match of (body || '').matchAll(/cid:([^"'\s)>]+)/g)) {
+      if (!cids.has(match[1])) {
+        errors.push(`No inline attachment found for cid:${match[1]}`);
+      }
+    }
+
+    return errors;
+  }
+
+  // Write the contents of a job's attachments to disk. Returns the attachments
+  // with `file` (relative to the attachments directory) in place of `content`.
+  store(jobId, attachments = []) {
+    if (attachments.length === 0) {
+      return attachments;
+    }
+
+    const jobDir = path.join(this.dir, jobId);
+    fs.mkdirSync(jobDir, { recursive: true });
+
+    return attachments.map(({ content, ...attachment }, index) => {
+      fs.writeFileSync(path.join(jobDir, String(index)), Buffer.from(content, 'base64'));
+      return { ...attachment, file: `${jobId}/${index}` };
+    });
+  }
+
+  // Delete the stored files of a job
+  remove(jobId) {
+    fs.rmSync(path.join(this.dir, jobId), { recursive: true, force: true });
+  }
+
+  // Shape expected by nodemailer's `attachments` option. Stored attachments are
+  // streamed from disk; jobs queued before they were stored still carry `content`.
+  toMailAttachments(attachments = []) {
+    return attachments.map(attachment => ({
+      filename: attachment.filename,
+      ...(attachment.file
+        ? { path: path.join(this.dir, attachment.file) }
+        : { content: Buffer.from(attachment.content, 'base64') }),
+      contentType: attachment.contentType,
+      ...(attachment.cid && { cid: attachment.cid, contentDisposition: 'inline' })
+    }));
+  }
+}
+
+module.exports = new AttachmentService();
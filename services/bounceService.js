@@ -0,0 +1,256 @@
+const crypto = require('crypto');
+const suppressionService = require('./suppressionService');
+const queueService = require('./queueService');
+const { parseDsn } = require('./dsnParser');
+
+// Each provider reports bounces and complaints in its own shape. Every normalizer
+// turns one payload into a list of events:
+// { type: 'bounce' | 'complaint', bounceType: 'hard' | 'soft' | null, email, messageId, status, diagnostic }
+
+// Amazon SES, delivered through an SNS notification
+const fromSes = notification => {
+  const mail = notification.mail || {};
+  const messageId = (mail.commonHeaders && mail.commonHeaders.messageId) || mail.messageId || null;
+
+  if (notification.notificationType === 'Bounce') {
+    const { bounce } = notification;
+    return bounce.bouncedRecipients.map(recipient => ({
+      type: 'bounce',
+      bounceType: bounce.bounceType === 'Permanent' ? 'hard' : 'soft',
+      email: recipient.emailAddress,
+      messageId,
+      status: recipient.status || null,
+      diagnostic: recipient.diagnosticCode || null
+    }));
+  }
+
+  if (notification.notificationType === 'Complaint') {
+    return notification.complaint.complainedRecipients.map(recipient => ({
+      type: 'complaint',
+      bounceType: null,
+      email: recipient.emailAddress,
+      messageId,
+      status: null,
+      diagnostic: notification.complaint.complaintFeedbackType || null
+    }));
+  }
+
+  return [];
+};
+
+// SendGrid event webhook: an array of events
+const fromSendGrid = events => events
+  .filter(event => ['bounce', 'dropped', 'spamreport'].includes(event.event))
+  .map(event => ({
+    type: event.event === 'spamreport' ? 'complaint' : 'bounce',
+    // "blocked" bounces are usually reputation problems, not dead addresses
+    bounceType: event.event === 'spamreport' ? null : (event.type === 'blocked' ? 'soft' : 'hard'),
+    email: event.email,
+    messageId: event['smtp-id'] || event.sg_message_id || null,
+    status: event.status || null,
+    diagnostic: event.reason || null
+  }));
+
+// Mailgun webhooks (the "event-data" format)
+const fromMailgun = data => {
+  const messageId = data.message && data.message.headers ? data.message.headers['message-id'] : null;
+  const deliveryStatus = data['delivery-status'] || {};
+
+  if (data.event === 'failed') {
+    return [{
+      type: 'bounce',
+      bounceType: data.severity === 'permanent' ? 'hard' : 'soft',
+      email: data.recipient,
+      messageId,
+      status: deliveryStatus.code ? String(deliveryStatus.code) : null,
+      diagnostic: deliveryStatus.description || deliveryStatus.message || data.reason || null
+    }];
+  }
+
+  if (data.event === 'complained') {
+    return [{ type: 'complaint', bounceType: null, email: data.recipient, messageId, status: null, diagnostic: null }];
+  }
+
+  return [];
+};
+
+// Postmark bounce and spam complaint webhooks
+const fromPostmark = record => {
+  if (record.RecordType === 'SpamComplaint') {
+    return [{ type: 'complaint', bounceType: null, email: record.Email, messageId: record.MessageID, status: null, diagnostic: record.Description || null }];
+  }
+
+  if (record.RecordType === 'Bounce') {
+    return [{
+      type: 'bounce',
+      bounceType: ['HardBounce', 'BadEmailAddress', 'ManuallyDeactivated'].includes(record.Type) ? 'hard' : 'soft',
+      email: record.Email,
+      messageId: record.MessageID,
+      status: record.Type,
+      diagnostic: record.Details || record.Description || null
+    }];
+  }
+
+  return [];
+};
+
+// Fields of an SNS message that its signature covers, in signing order
+const SNS_SIGNED_FIELDS = {
+  Notification: ['Message', 'MessageId', 'Subject', 'Timestamp', 'TopicArn', 'Type'],
+  SubscriptionConfirmation: ['Message', 'MessageId', 'SubscribeURL', 'Timestamp', 'Token', 'TopicArn', 'Type'],
+  UnsubscribeConfirmation: ['Message', 'MessageId', 'SubscribeURL', 'Timestamp', 'Token', 'TopicArn', 'Type']
+};
+
+const isSnsUrl = value => {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' && /^sns\.[a-z0-9-]+\.amazonaws\.com$/.test(url.hostname);
+  } catch (error) {
+    return false;
+  }
+};
+
+// Our own format, for MTAs and scripts that post events directly
+const fromGeneric = event => [{
+  type: event.type,
+  bounceType: event.type === 'bounce' ? event.bounceType || 'hard' : null,
+  email: event.email,
+  messageId: event.messageId || null,
+  status: event.status || null,
+  diagnostic: event.reason || event.diagnostic || null
+}];
+
+class BounceService {
+  constructor() {
+    // Signing certificates by URL; SNS rotates them rarely
+    this.certificates = new Map();
+    this.fetchCertificate = async url => {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`Could not fetch SNS signing certificate (${response.status})`);
+      }
+      return response.text();
+    };
+  }
+
+  isSnsMessage(payload) {
+    return !!payload && typeof payload === 'object' && !Array.isArray(payload) && !!SNS_SIGNED_FIELDS[payload.Type];
+  }
+
+  // Check an SNS message's signature against the AWS certificate it names, so a
+  // caller who knows the webhook token still can't forge SES events.
+  // See https://docs.aws.amazon.com/sns/latest/dg/sns-verify-signature-of-message.html
+  async verifySnsMessage(payload) {
+    const algorithm = { 1: 'RSA-SHA1', 2: 'RSA-SHA256' }[payload.SignatureVersion];
+
+    if (!algorithm || !payload.Signature || !isSnsUrl(payload.SigningCertURL) || !payload.SigningCertURL.endsWith('.pem')) {
+      return false;
+    }
+
+    if (!this.certificates.has(payload.SigningCertURL)) {
+      this.certificates.set(payload.SigningCertURL, await this.fetchCertificate(payload.SigningCertURL));
+    }
+
+    const signed = SNS_SIGNED_FIELDS[payload.Type]
+      .filter(field => payload[field] !== undefined && payload[field] !== null)
+      .map(field => `${field}\n${payload[field]}\n`)
+      .join('');
+
+    try {
+      return crypto.createVerify(algorithm)
+        .update(signed, 'utf8')
+        .verify(this.certificates.get(payload.SigningCertURL), payload.Signature, 'base64');
+    } catch (error) {
+      return false;
+    }
+  }
+
+  isSnsUrl(value) {
+    return isSnsUrl(value);
+  }
+
+  // Work out which provider sent a webhook payload and normalize it.
+  // Returns { provider, events }, or { provider: null } for an unrecognized or
+  // malformed payload.
+  normalize(payload) {
+    try {
+      return this.detect(payload);
+    } catch (error) {
+      // A payload that claims a provider's format but doesn't follow it
+      return { provider: null, events: [] };
+    }
+  }
+
+  detect(payload) {
+    if (Array.isArray(payload)) {
+      return payload.every(item => item && item.event && item.email)
+        ? { provider: 'sendgrid', events: fromSendGrid(payload) }
+        : { provider: null, events: [] };
+    }
+
+    if (!payload || typeof payload !== 'object') {
+      return { provider: null, events: [] };
+    }
+
+    if (payload.Type === 'Notification' && typeof payload.Message === 'string') {
+      return { provider: 'ses', events: fromSes(JSON.parse(payload.Message)) };
+    }
+
+    if (payload.notificationType) {
+      return { provider: 'ses', events: fromSes(payload) };
+    }
+
+    if (payload['event-data']) {
+      return { provider: 'mailgun', events: fromMailgun(payload['event-data']) };
+    }
+
+    if (payload.RecordType) {
+      return { provider: 'postmark', events: fromPostmark(payload) };
+    }
+
+    if (['bounce', 'complaint'].includes(payload.type) && payload.email) {
+      return { provider: 'generic', events: fromGeneric(payload) };
+    }
+
+    return { provider: null, events: [] };
+  }
+
+  parseDsn(raw) {
+    return parseDsn(raw);
+  }
+
+  // Record events against the jobs that sent them and suppress dead or complaining
+  // addresses. Unmatched events are still suppressed: the address is bad either way.
+  process(events, source) {
+    const results = events
+      .filter(event => event.email)
+      .map(event => {
+        const match = event.messageId ? queueService.recordDeliveryEvent(event) : null;
+        const suppress = event.type === 'complaint' || event.bounceType === 'hard';
+
+        if (suppress) {
+          suppressionService.add(event.email, {
+            reason: event.type === 'complaint' ? 'complaint' : 'bounce',
+            scope: 'all',
+            source
+          });
+          console.log(`🚫 Suppressed ${event.email} after ${event.type === 'complaint' ? 'a complaint' : 'a hard bounce'}`);
+        }
+
+        return {
+          ...event,
+          jobId: match ? match.jobId : null,
+          suppressed: suppress
+        };
+      });
+
+    return {
+      processed: results.length,
+      matched: results.filter(result => result.jobId).length,
+      suppressed: results.filter(result => result.suppressed).length,
+      events: results
+    };
+  }
+}
+
+module.exports = new BounceService();
@@ -0,0 +1,331 @@
+const FileStore = require('./fileStore');
+const emailService = require('./emailService');
+const tenantService = require('./tenantService');
+
+const IMPORT_FORMATS = ['csv', 'vcard'];
+
+// Header names recognised without an explicit mapping, compared lowercased
+// with spaces, dashes and underscores removed
+const COLUMN_ALIASES = {
+  email: ['email', 'emailaddress', 'mail', 'emailaddress1', 'primaryemail'],
+  name: ['name', 'fullname', 'displayname', 'contactname'],
+  firstName: ['firstname', 'givenname', 'forename'],
+  lastName: ['lastname', 'surname', 'familyname'],
+  company: ['company', 'organization', 'organisation', 'org', 'companyname', 'employer'],
+  tags: ['tags', 'tag', 'groups', 'group', 'categories', 'labels', 'segment']
+};
+
+const columnKey = header => String(header).toLowerCase().replace(/[\s_-]+/g, '');
+
+// Custom field keys double as template placeholders, so "Plan Type" becomes planType
+const fieldKey = header => header
+  .replace(/[^A-Za-z0-9]+(.)?/g, (match, next) => (next ? next.toUpperCase() : ''))
+  .replace(/^[A-Z]/, first => first.toLowerCase())
+  .replace(/^(\d)/, '_$1');
+
+const splitTags = value => (Array.isArray(value) ? value : String(value || '').split(/[;,|]/))
+  .map(tag => String(tag).trim().toLowerCase())
+  .filter(Boolean);
+
+// RFC 4180 CSV: quoted fields, doubled quotes, line breaks inside quotes. The
+// delimiter (comma, semicolon or tab) is taken from the header line.
+const parseCsv = text => {
+  const source = String(text).replace(/^﻿/, '');
+  const headerLine = source.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t']
+    .map(candidate => ({ candidate, count: headerLine.split(candidate).length }))
+    .sort((a, b) => b.count - a.count)[0].candidate;
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') {
+        i += 1;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [headers = [], ...records] = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+  return {
+    headers: headers.map(header => header.trim()),
+    // Row numbers count the header as row 1, like a spreadsheet
+    rows: records.map((cells, index) => ({
+      row: index + 2,
+      values: Object.fromEntries(headers.map((header, column) => [header.trim(), (cells[column] || '').trim()]))
+    }))
+  };
+};
+
+// vCard 2.1/3.0/4.0: FN, N, EMAIL (the PREF one, else the first), ORG, CATEGORIES, NOTE
+const parseVCard = text => {
+  const unfolded = String(text).replace(/^﻿/, '').replace(/\r?\n[ \t]/g, '');
+  const cards = unfolded.split(/^BEGIN:VCARD\s*$/im).slice(1);
+  const unescape = value => value.replace(/\\([,;:\\])/g, '$1').replace(/\\n/gi, '\n').trim();
+
+  return {
+    headers: ['email', 'name', 'firstName', 'lastName', 'company', 'tags', 'note'],
+    rows: cards.map((card, index) => {
+      const properties = card.split(/\r?\n/)
+        .map(line => /^(?:[\w-]+\.)?([A-Z-]+)((?:;[^:]*)?):(.*)$/i.exec(line))
+        .filter(Boolean)
+        .map(([, name, params, value]) => ({ name: name.toUpperCase(), params: params.toUpperCase(), value }));
+      const first = name => properties.find(property => property.name === name);
+
+      const emails = properties.filter(property => property.name === 'EMAIL');
+      const email = emails.find(property => /PREF/.test(property.params)) || emails[0];
+      const structuredName = first('N') ? first('N').value.split(';') : [];
+
+      return {
+        row: index + 1,
+        values: {
+          email: email ? unescape(email.value) : '',
+          name: first('FN') ? unescape(first('FN').value) : '',
+          firstName: unescape(structuredName[1] || ''),
+          lastName: unescape(structuredName[0] || ''),
+          company: first('ORG') ? unescape(first('ORG').value.split(';')[0]) : '',
+          tags: first('CATEGORIES') ? unescape(first('CATEGORIES').value) : '',
+          note: first('NOTE') ? unescape(first('NOTE').value) : ''
+        }
+      };
+    })
+  };
+};
+
+// Saved recipient lists. Each contact has an address, optional name, company
+// and tags, and custom fields; all of them can fill template placeholders.
+class ContactService {
+  constructor() {
+    this.lists = new FileStore('contactLists');
+  }
+
+  // Lists without their contacts, for the overview
+  list(tenantId) {
+    return this.lists
+      .find(list => tenantService.owns(list, tenantId))
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(list => this.summarize(list));
+  }
+
+  summarize(list) {
+    const { contacts, ...summary } = list;
+    return {
+      ...summary,
+      contactCount: contacts.length,
+      tags: [...new Set(contacts.flatMap(contact => contact.tags))].sort()
+    };
+  }
+
+  // Another tenant's list is reported the same as a missing one
+  get(id, tenantId) {
+    const list = this.lists.get(id);
+    return list && tenantService.owns(list, tenantId) ? list : null;
+  }
+
+  create({ name, description }, tenantId) {
+    return this.lists.insert({
+      tenantId,
+      name,
+      description: description || null,
+      contacts: []
+    });
+  }
+
+  update(id, changes, tenantId) {
+    return this.get(id, tenantId) ? this.lists.update(id, changes) : null;
+  }
+
+  remove(id, tenantId) {
+    return !!this.get(id, tenantId) && this.lists.remove(id);
+  }
+
+  // Turn raw rows into contacts. `mapping` names the column for each field
+  // ({ email: 'E-mail', name: 'Full name', ... }); fields without one are found by
+  // their usual header names, and every column left over becomes a custom field.
+  // Rows are checked with emailService.validateEmailList and de-duplicated; the
+  // stored email is the bare normalized address ("Jane <Jane@X.com>" -> "jane@x.com"),
+  // the form suppression checks and sends compare against.
+  // Returns { contacts, skipped: [{ row, email, reason }] }.
+  toContacts({ headers, rows }, mapping = {}) {
+    const columns = {};
+    Object.keys(COLUMN_ALIASES).forEach(field => {
+      columns[field] = mapping[field] || headers.find(header => COLUMN_ALIASES[field].includes(columnKey(header))) || null;
+    });
+    const mapped = new Set(Object.values(columns).filter(Boolean));
+    const customColumns = headers.filter(header => !mapped.has(header) && header);
+
+    const contacts = [];
+    const skipped = [];
+    const seen = new Set();
+
+    if (!columns.email) {
+      return {
+        contacts,
+        skipped: rows.map(({ row }) => ({ row, email: null, reason: 'No email column found; map one with mapping.email' }))
+      };
+    }
+
+    rows.forEach(({ row, values }) => {
+      const raw = values[columns.email] || '';
+      const { validEmails, errors } = emailService.validateEmailList([raw]);
+
+      if (errors.length > 0) {
+        skipped.push({ row, email: raw || null, reason: raw ? errors[0] : 'Missing email address' });
+        return;
+      }
+
+      const email = emailService.normalizeAddress(validEmails[0]);
+      if (seen.has(email)) {
+        skipped.push({ row, email, reason: 'Duplicate address in this import' });
+        return;
+      }
+      seen.add(email);
+
+      const value = field => (columns[field] ? values[columns[field]] || '' : '');
+      const firstName = value('firstName');
+      const lastName = value('lastName');
+
+      contacts.push({
+        email,
+        name: value('name') || [firstName, lastName].filter(Boolean).join(' ') || null,
+        firstName: firstName || null,
+        lastName: lastName || null,
+        company: value('company') || null,
+        tags: splitTags(value('tags')),
+        fields: Object.fromEntries(customColumns
+          .filter(header => values[header] !== undefined && values[header] !== '')
+          .map(header => [fieldKey(header), values[header]]))
+      });
+    });
+
+    return { contacts, skipped };
+  }
+
+  parse(content, format) {
+    return format === 'vcard' ? parseVCard(content) : parseCsv(content);
+  }
+
+  // Add contacts to a list. Addresses already on it are updated: given values
+  // win, tags and custom fields are merged. Returns { list, added, updated }.
+  addContacts(id, contacts, tenantId) {
+    const list = this.get(id, tenantId);
+
+    if (!list) {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    // Contacts imported before addresses were normalized are merged into their bare address
+    const byEmail = new Map(list.contacts.map(contact => {
+      const email = emailService.normalizeAddress(contact.email);
+      return [email, { ...contact, email }];
+    }));
+    let added = 0;
+    let updated = 0;
+
+    contacts.forEach(contact => {
+      const existing = byEmail.get(contact.email);
+
+      if (!existing) {
+        byEmail.set(contact.email, { ...contact, addedAt: now, updatedAt: now });
+        added += 1;
+        return;
+      }
+
+      const given = Object.fromEntries(Object.entries(contact).filter(([, value]) => value !== null && value !== undefined));
+      byEmail.set(contact.email, {
+        ...existing,
+        ...given,
+        tags: [...new Set([...existing.tags, ...(contact.tags || [])])],
+        fields: { ...existing.fields, ...contact.fields },
+        updatedAt: now
+      });
+      updated += 1;
+    });
+
+    return {
+      list: this.lists.update(id, { contacts: [...byEmail.values()] }),
+      added,
+      updated
+    };
+  }
+
+  removeContact(id, email, tenantId) {
+    const list = this.get(id, tenantId);
+    const address = emailService.normalizeAddress(email);
+    const matches = contact => emailService.normalizeAddress(contact.email) === address;
+
+    if (!list || !list.contacts.some(matches)) {
+      return false;
+    }
+
+    this.lists.update(id, { contacts: list.contacts.filter(contact => !matches(contact)) });
+    return true;
+  }
+
+  // Contacts of one list, or of all the tenant's lists, narrowed to those with
+  // any (or all) of the given tags. An address on several lists appears once.
+  select(tenantId, { listId = null, tags = [], tagMatch = 'any' } = {}) {
+    const lists = listId ? [this.get(listId, tenantId)].filter(Boolean) : this.lists.find(list => tenantService.owns(list, tenantId));
+    const wanted = splitTags(tags);
+    const matches = contact => wanted.length === 0 || (tagMatch === 'all'
+      ? wanted.every(tag => contact.tags.includes(tag))
+      : wanted.some(tag => contact.tags.includes(tag)));
+
+    const selected = new Map();
+    lists.flatMap(list => list.contacts).filter(matches).forEach(contact => {
+      const email = emailService.normalizeAddress(contact.email);
+      if (!selected.has(email)) {
+        selected.set(email, { ...contact, email });
+      }
+    });
+
+    return [...selected.values()];
+  }
+
+  // Template placeholder values for one contact: {{name}}, {{firstName}}, {{company}}, custom fields...
+  variablesFor(contact) {
+    const variables = { email: contact.email, ...contact.fields };
+
+    ['name', 'firstName', 'lastName', 'company'].forEach(field => {
+      if (contact[field]) {
+        variables[field] = contact[field];
+      }
+    });
+
+    return variables;
+  }
+}
+
+module.exports = new ContactService();
+module.exports.IMPORT_FORMATS = IMPORT_FORMATS;
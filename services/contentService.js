@@ -0,0 +1,321 @@
+const renderService = require('./renderService');
+
+// Content check verdicts, least to most severe
+const VERDICTS = ['pass', 'warn', 'block'];
+
+// Phrases spam filters weigh against a message, one point each
+const SPAM_PHRASES = [
+  'act now', 'apply now', 'buy now', 'call now', 'order now', 'click here', 'click below',
+  'limited time', 'offer expires', 'urgent', 'once in a lifetime', 'exclusive deal',
+  '100% free', 'free money', 'free gift', 'risk-free', 'risk free', 'no cost', 'no obligation',
+  'guaranteed', 'winner', 'you have been selected', 'congratulations', 'cash bonus',
+  'double your', 'earn extra cash', 'make money', 'extra income', 'work from home',
+  'lowest price', 'best price', 'special promotion', 'no credit check', 'miracle', 'lose weight',
+  'viagra', 'casino', 'crypto giveaway', 'wire transfer', 'this is not spam'
+];
+
+const URL_SHORTENERS = ['bit.ly', 'tinyurl.com', 't.co', 'goo.gl', 'ow.ly', 'is.gd', 'buff.ly', 'rebrand.ly', 'cutt.ly', 'shorturl.at'];
+
+// Asking for credentials or payment details is what phishing mail does
+const PHISHING_PHRASES = [
+  'verify your account', 'confirm your password', 'enter your password', 'reset your password immediately',
+  'account will be suspended', 'account has been suspended', 'account will be closed', 'unusual sign-in activity',
+  'update your payment details', 'update your billing information', 'confirm your identity', 'send your login'
+];
+
+const HARASSMENT_PATTERN = /\b(i will|i'll|we will|we'll|gonna) (kill|hurt|destroy|find) you\b|\byou will regret\b/i;
+
+const EXECUTABLE_PATTERN = /\.(exe|scr|bat|cmd|com|pif|vbs|js|jar|msi|apk|ps1)(\?|#|$)/i;
+
+// Secrets with a recognisable shape. Matching them is cheap and they should
+// never leave in an email or reach an AI provider.
+const SECRET_PATTERNS = [
+  { label: 'OpenAI key', pattern: /\bsk-(?:proj-)?[A-Za-z0-9_-]{20,}\b/g },
+  { label: 'AWS access key', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { label: 'GitHub token', pattern: /\bgh[pousr]_[A-Za-z0-9]{36,}\b/g },
+  { label: 'Slack token', pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}\b/g },
+  { label: 'Stripe key', pattern: /\b(?:sk|rk)_(?:live|test)_[A-Za-z0-9]{16,}\b/g },
+  { label: 'Google API key', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+  { label: 'JSON Web Token', pattern: /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\b/g },
+  { label: 'Private key', pattern: /-----BEGIN (?:RSA |EC |OPENSSH |ENCRYPTED )?PRIVATE KEY-----[\s\S]*?-----END (?:RSA |EC |OPENSSH |ENCRYPTED )?PRIVATE KEY-----/g }
+];
+
+// 13 to 19 digits, optionally grouped by spaces or dashes
+const CARD_PATTERN = /\b\d(?:[ -]?\d){12,18}\b/g;
+
+// Dashed form only: nine bare digits are far more often something else
+const SSN_PATTERN = /\b(?!000|666|9\d\d)\d{3}-(?!00)\d{2}-(?!0000)\d{4}\b/g;
+
+const luhn = digits => {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+};
+
+// Enough of a match to find it again, not enough to use it
+const mask = value => (value.length <= 8 ? '*'.repeat(value.length) : `${value.slice(0, 4)}${'*'.repeat(Math.min(value.length - 8, 24))}${value.slice(-4)}`);
+
+const envNumber = name => {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? null : value;
+};
+
+// Checks an email before it goes out: how spammy it reads, whether it carries
+// personal data or secrets, and whether it looks harmful (phishing, malware
+// links, threats). Tenant policy decides which findings only warn and which
+// block the send.
+class ContentService {
+  constructor() {
+    // Strip personal data and secrets from every prompt before it reaches an AI provider
+    this.redactPrompts = process.env.CONTENT_REDACT_PROMPTS === 'true';
+  }
+
+  // A tenant's contentPolicy wins over the CONTENT_* defaults. A null
+  // spamBlockScore never blocks on spam alone.
+  policyFor(tenant = null) {
+    const policy = (tenant && tenant.contentPolicy) || {};
+    const pick = (key, fallback) => (policy[key] !== undefined ? policy[key] : fallback);
+
+    return {
+      spamWarnScore: pick('spamWarnScore', envNumber('CONTENT_SPAM_WARN_SCORE') ?? 5),
+      spamBlockScore: pick('spamBlockScore', envNumber('CONTENT_SPAM_BLOCK_SCORE')),
+      maxLinks: pick('maxLinks', envNumber('CONTENT_MAX_LINKS') ?? 10),
+      blockPii: pick('blockPii', process.env.CONTENT_BLOCK_PII === 'true'),
+      blockHarmful: pick('blockHarmful', process.env.CONTENT_BLOCK_HARMFUL === 'true')
+    };
+  }
+
+  // Personal data and secrets in a text: [{ type, label, match, index }]
+  findPii(text) {
+    const findings = [];
+    const source = String(text || '');
+
+    for (const match of source.matchAll(CARD_PATTERN)) {
+      const digits = match[0].replace(/\D/g, '');
+      if (digits.length >= 13 && digits.length <= 19 && luhn(digits)) {
+        findings.push({ type: 'card', label: 'Payment card number', match: match[0], index: match.index });
+      }
+    }
+
+    for (const match of source.matchAll(SSN_PATTERN)) {
+      findings.push({ type: 'ssn', label: 'US Social Security number', match: match[0], index: match.index });
+    }
+
+    SECRET_PATTERNS.forEach(({ label, pattern }) => {
+      for (const match of source.matchAll(pattern)) {
+        findings.push({ type: 'secret', label, match: match[0], index: match.index });
+      }
+    });
+
+    return findings.sort((a, b) => a.index - b.index);
+  }
+
+  // Replace every finding with a placeholder like [REDACTED CARD]. Returns { text, redactions }.
+  redact(text) {
+    const findings = this.findPii(text);
+    let redacted = String(text || '');
+
+    // From the end, so earlier indexes stay valid; overlapping matches are skipped
+    let end = Infinity;
+    [...findings].reverse().forEach(finding => {
+      if (finding.index + finding.match.length > end) {
+        return;
+      }
+      redacted = `${redacted.slice(0, finding.index)}[REDACTED ${finding.type.toUpperCase()}]${redacted.slice(finding.index + finding.match.length)}`;
+      end = finding.index;
+    });
+
+    return { text: redacted, redactions: findings.length };
+  }
+
+  // Chat messages with their content redacted, when CONTENT_REDACT_PROMPTS is on
+  redactMessages(messages) {
+    if (!this.redactPrompts) {
+      return messages;
+    }
+
+    return messages.map(message => (typeof message.content === 'string'
+      ? { ...message, content: this.redact(message.content).text }
+      : message));
+  }
+
+  // Spam rules that matched, with their points: { score, rules: [{ rule, points, detail }] }
+  scoreSpam({ subject, text, links }, policy) {
+    const rules = [];
+    const lower = `${subject}\n${text}`.toLowerCase();
+    const phrases = SPAM_PHRASES.filter(phrase => lower.includes(phrase));
+    const letters = text.replace(/[^A-Za-z]/g, '');
+    const capitals = letters.replace(/[^A-Z]/g, '').length;
+    const exclamations = (text.match(/!/g) || []).length;
+    const words = text.split(/\s+/).filter(Boolean).length;
+
+    if (phrases.length > 0) {
+      rules.push({ rule: 'trigger-phrases', points: Math.min(phrases.length, 5), detail: phrases.join(', ') });
+    }
+
+    if (/[A-Za-z]/.test(subject) && subject === subject.toUpperCase() && subject.replace(/[^A-Za-z]/g, '').length >= 4) {
+      rules.push({ rule: 'subject-all-caps', points: 2, detail: 'Subject is written in capitals' });
+    }
+
+    if (/!{2,}|\?{2,}|\${2,}/.test(subject)) {
+      rules.push({ rule: 'subject-punctuation', points: 1, detail: 'Repeated !, ? or $ in the subject' });
+    }
+
+    if (letters.length >= 40 && capitals / letters.length > 0.3) {
+      rules.push({ rule: 'caps-ratio', points: capitals / letters.length > 0.6 ? 3 : 2, detail: `${Math.round(capitals / letters.length * 100)}% of letters are capitals` });
+    }
+
+    if (exclamations > 3 || (words > 0 && exclamations / words > 0.05)) {
+      rules.push({ rule: 'exclamation-marks', points: exclamations > 10 ? 2 : 1, detail: `${exclamations} exclamation marks` });
+    }
+
+    if (links.length > policy.maxLinks) {
+      rules.push({ rule: 'too-many-links', points: 2, detail: `${links.length} links (more than ${policy.maxLinks})` });
+    } else if (links.length > 0 && words < 25 * links.length) {
+      rules.push({ rule: 'link-heavy', points: 1, detail: `${links.length} links in ${words} words` });
+    }
+
+    const shortened = links.filter(link => URL_SHORTENERS.includes(link.host));
+    if (shortened.length > 0) {
+      rules.push({ rule: 'url-shortener', points: 2, detail: shortened.map(link => link.host).join(', ') });
+    }
+
+    return { score: rules.reduce((sum, rule) => sum + rule.points, 0), rules };
+  }
+
+  findHarmful({ subject, text, links }) {
+    const findings = [];
+    const lower = `${subject}\n${text}`.toLowerCase();
+
+    PHISHING_PHRASES.filter(phrase => lower.includes(phrase)).forEach(phrase => {
+      findings.push({ category: 'phishing', detail: `Asks for credentials or payment details: "${phrase}"` });
+    });
+
+    links.filter(link => /^\d{1,3}(\.\d{1,3}){3}$/.test(link.host) || link.userinfo).forEach(link => {
+      findings.push({ category: 'phishing', detail: `Link hides its destination: ${link.href}` });
+    });
+
+    links.filter(link => EXECUTABLE_PATTERN.test(link.path)).forEach(link => {
+      findings.push({ category: 'malware', detail: `Link to an executable file: ${link.href}` });
+    });
+
+    if (HARASSMENT_PATTERN.test(text)) {
+      findings.push({ category: 'harassment', detail: `Threatening language: "${HARASSMENT_PATTERN.exec(text)[0]}"` });
+    }
+
+    return findings;
+  }
+
+  // Every http(s) link in the rendered HTML and the text
+  linksIn(html, text) {
+    const hrefs = [
+      ...[...html.matchAll(/href\s*=\s*["']([^"']+)["']/gi)].map(match => match[1].replace(/&amp;/g, '&')),
+      ...(text.match(/https?:\/\/[^\s<>"')\]]+/gi) || [])
+    ];
+
+    return [...new Set(hrefs)]
+      .map(href => {
+        try {
+          const url = new URL(href);
+          return /^https?:$/.test(url.protocol)
+            ? { href, host: url.hostname.toLowerCase().replace(/^www\./, ''), path: url.pathname, userinfo: !!(url.username || url.password) }
+            : null;
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  // Analyse one email. Returns { verdict: 'pass' | 'warn' | 'block', reasons, spam, pii, harmful }.
+  analyze({ subject = '', body = '', bodyFormat = 'text' }, policy = this.policyFor()) {
+    const html = renderService.toHtml(body, bodyFormat);
+    const text = bodyFormat === 'text' ? String(body) : renderService.toText(html);
+    const links = this.linksIn(html, text);
+    const content = { subject: String(subject), text, links };
+
+    const spam = this.scoreSpam(content, policy);
+    const pii = [
+      ...this.findPii(subject).map(finding => ({ ...finding, field: 'subject' })),
+      ...this.findPii(text).map(finding => ({ ...finding, field: 'body' }))
+    ].map(({ type, label, match, field }) => ({ type, label, field, match: mask(match) }));
+    const harmful = this.findHarmful(content);
+
+    const blocks = [];
+    const warnings = [];
+
+    if (policy.spamBlockScore !== null && spam.score >= policy.spamBlockScore) {
+      blocks.push(`Spam score ${spam.score} reaches the blocking threshold of ${policy.spamBlockScore}`);
+    } else if (spam.score >= policy.spamWarnScore) {
+      warnings.push(`Spam score ${spam.score} reaches the warning threshold of ${policy.spamWarnScore}`);
+    }
+
+    if (pii.length > 0) {
+      (policy.blockPii ? blocks : warnings).push(`Contains personal data or secrets: ${[...new Set(pii.map(finding => finding.label))].join(', ')}`);
+    }
+
+    if (harmful.length > 0) {
+      (policy.blockHarmful ? blocks : warnings).push(`Looks harmful: ${[...new Set(harmful.map(finding => finding.category))].join(', ')}`);
+    }
+
+    return {
+      verdict: blocks.length > 0 ? 'block' : (warnings.length > 0 ? 'warn' : 'pass'),
+      reasons: [...blocks, ...warnings],
+      spam,
+      pii,
+      harmful
+    };
+  }
+
+  // Analyse what a send delivers: `contents` holds each distinct message as
+  // rendered for its recipients ({ id: variant, recipients, subject, body }), so
+  // personal data in per-recipient variables is seen too. Identical messages are
+  // analysed once.
+  // There is one result per A/B variant, for its worst message, naming the
+  // recipients whose message didn't pass; the overall verdict is the worst one.
+  check(contents, { bodyFormat = 'text', tenant = null } = {}) {
+    const policy = this.policyFor(tenant);
+    const analyses = new Map();
+    const variants = new Map();
+
+    contents.forEach(({ id = null, recipients = [], subject, body }) => {
+      const key = JSON.stringify([subject, body]);
+      if (!analyses.has(key)) {
+        analyses.set(key, this.analyze({ subject, body, bodyFormat }, policy));
+      }
+
+      const analysis = analyses.get(key);
+      const variant = variants.get(id) || { worst: analysis, flaggedRecipients: [] };
+
+      if (VERDICTS.indexOf(analysis.verdict) > VERDICTS.indexOf(variant.worst.verdict)) {
+        variant.worst = analysis;
+      }
+      if (analysis.verdict !== 'pass') {
+        recipients.forEach(recipient => variant.flaggedRecipients.push(recipient));
+      }
+      variants.set(id, variant);
+    });
+
+    const results = [...variants.entries()]
+      .sort(([a], [b]) => String(a).localeCompare(String(b)))
+      .map(([id, { worst, flaggedRecipients }]) => ({ variant: id, ...worst, flaggedRecipients }));
+    const verdicts = results.map(result => result.verdict);
+
+    return {
+      verdict: verdicts.includes('block') ? 'block' : (verdicts.includes('warn') ? 'warn' : 'pass'),
+      reasons: [...new Set([...analyses.values()].flatMap(analysis => analysis.reasons))],
+      results
+    };
+  }
+}
+
+module.exports = new ContentService();
@@ -0,0 +1,327 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const util = require('util');
+const FileStore = require('./fileStore');
+
+const generateKeyPair = util.promisify(crypto.generateKeyPair);
+
+const KEY_SIZES = [1024, 2048, 4096];
+const DEFAULT_SELECTOR = process.env.DKIM_SELECTOR || 'mail';
+
+// TXT record strings are at most 255 characters; longer values are published as
+// several quoted strings that resolvers join back together
+const chunk = (value, size = 255) => value.match(new RegExp(`.{1,${size}}`, 'g')) || [];
+
+// "v=DMARC1; p=reject; rua=mailto:..." -> { v: 'DMARC1', p: 'reject', rua: 'mailto:...' }
+const parseTags = record => Object.fromEntries(record
+  .split(';')
+  .map(tag => tag.trim())
+  .filter(Boolean)
+  .map(tag => {
+    const separator = tag.indexOf('=');
+    return separator === -1
+      ? [tag.toLowerCase(), '']
+      : [tag.slice(0, separator).trim().toLowerCase(), tag.slice(separator + 1).trim()];
+  }));
+
+const domainOf = address => String(address).split('@').pop().trim().toLowerCase();
+
+// "mail" -> "mail-20261019", with a counter when that is taken too
+const nextSelector = (base, taken) => {
+  const dated = `${base}-${new Date().toISOString().slice(0, 10).replace(/-/g, '')}`;
+  let selector = dated;
+
+  for (let n = 2; taken.includes(selector); n++) {
+    selector = `${dated}-${n}`;
+  }
+
+  return selector;
+};
+
+// DKIM keys for our sender domains, and checks that a domain's SPF, DKIM and
+// DMARC records are published as they should be
+class DomainService {
+  constructor() {
+    // Per domain, at most one 'active' key (the one mail is signed with) and one
+    // 'pending' key waiting for its DNS record: { id, domain, selector, status,
+    // privateKey, publicKey, bits }. Keys stored without a status are active.
+    this.keys = new FileStore('dkimKeys');
+    // Anything with dns.promises' resolveTxt(name) will do; swapped out in tests
+    this.resolver = dns.promises;
+    this.dnsTimeoutMs = parseInt(process.env.DOMAIN_DNS_TIMEOUT_MS) || 5000;
+  }
+
+  setResolver(resolver) {
+    this.resolver = resolver;
+  }
+
+  // Base64 of the DER public key, as it goes in the p= tag
+  publicKeyData(publicKey) {
+    return crypto.createPublicKey(publicKey).export({ type: 'spki', format: 'der' }).toString('base64');
+  }
+
+  // The TXT record to publish for a key
+  dnsRecord({ domain, selector, publicKey }) {
+    const value = `v=DKIM1; k=rsa; p=${this.publicKeyData(publicKey)}`;
+
+    return {
+      name: `${selector}._domainkey.${domain}`,
+      type: 'TXT',
+      value,
+      // For DNS providers that want the value already split into strings
+      chunks: chunk(value)
+    };
+  }
+
+  // Key details without the private key
+  describe(key) {
+    const { privateKey, publicKey, ...details } = key;
+    return { ...details, dnsRecord: this.dnsRecord(key) };
+  }
+
+  // Create a pending key pair for a domain, replacing any earlier pending one.
+  // Nothing is signed with it until verifyKey sees its record published, so a
+  // rotation goes to a new selector (never the active key's) and the active key
+  // keeps signing meanwhile.
+  async generateKey(domain, { selector, bits = 2048 } = {}) {
+    const name = domain.toLowerCase();
+    // Off the event loop: a 4096-bit key takes seconds
+    const { privateKey, publicKey } = await generateKeyPair('rsa', {
+      modulusLength: bits,
+      publicKeyEncoding: { type: 'spki', format: 'pem' },
+      privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+    });
+
+    // Read after the wait, in case another request changed the keys meanwhile
+    const active = this.getKey(name);
+    const pending = this.getPendingKey(name);
+    const chosen = selector || (active ? nextSelector(DEFAULT_SELECTOR, [active.selector]) : DEFAULT_SELECTOR);
+
+    if (active && chosen === active.selector) {
+      throw Object.assign(new Error(`Selector "${chosen}" belongs to the active key`), { statusCode: 409 });
+    }
+
+    if (pending) {
+      this.keys.remove(pending.id);
+    }
+
+    return this.describe(this.keys.insert({
+      id: `${chosen}._domainkey.${name}`,
+      domain: name,
+      selector: chosen,
+      status: 'pending',
+      bits,
+      privateKey,
+      publicKey
+    }));
+  }
+
+  // Activate the domain's pending key once its published record matches it;
+  // the key it replaces stops signing. Returns { verified, key, dkim }, or null
+  // when there is no pending key.
+  async verifyKey(domain) {
+    const name = String(domain).toLowerCase();
+    const pending = this.getPendingKey(name);
+
+    if (!pending) {
+      return null;
+    }
+
+    let dkim;
+    try {
+      dkim = await this.checkDkim(name, pending.selector, pending);
+    } catch (error) {
+      dkim = { status: 'error', record: null, issues: [`DNS lookup failed: ${error.message}`] };
+    }
+
+    if (dkim.status !== 'pass' && dkim.status !== 'warn') {
+      return { verified: false, key: this.describe(pending), dkim };
+    }
+
+    this.keys.find(key => key.domain === name && key.id !== pending.id).forEach(key => this.keys.remove(key.id));
+    const key = this.keys.update(pending.id, { status: 'active', activatedAt: new Date().toISOString() });
+
+    return { verified: true, key: this.describe(key), dkim };
+  }
+
+  // The key mail from the domain is signed with
+  getKey(domain) {
+    const name = String(domain).toLowerCase();
+    return this.keys.find(key => key.domain === name && key.status !== 'pending')[0] || null;
+  }
+
+  getPendingKey(domain) {
+    const name = String(domain).toLowerCase();
+    return this.keys.find(key => key.domain === name && key.status === 'pending')[0] || null;
+  }
+
+  listKeys() {
+    return this.keys.all().map(key => this.describe(key));
+  }
+
+  // Delete every key for the domain, active and pending
+  removeKey(domain) {
+    const name = String(domain).toLowerCase();
+    const keys = this.keys.find(key => key.domain === name);
+
+    keys.forEach(key => this.keys.remove(key.id));
+    return keys.length > 0;
+  }
+
+  // nodemailer's per-message dkim option for mail from this address, or null
+  // when its domain has no key
+  dkimFor(fromAddress) {
+    const key = this.getKey(domainOf(fromAddress));
+
+    return key
+      ? { domainName: key.domain, keySelector: key.selector, privateKey: key.privateKey }
+      : null;
+  }
+
+  // TXT records at a name, each with its strings joined. A name that doesn't
+  // exist has no records; any other failure (e.g. a timeout) is thrown.
+  async lookupTxt(name) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(Object.assign(new Error('DNS lookup timed out'), { code: 'ETIMEOUT' })), this.dnsTimeoutMs);
+    });
+
+    try {
+      const records = await Promise.race([this.resolver.resolveTxt(name), timeout]);
+      return records.map(parts => (Array.isArray(parts) ? parts.join('') : String(parts)));
+    } catch (error) {
+      if (['ENOTFOUND', 'ENODATA', 'NXDOMAIN'].includes(error.code)) {
+        return [];
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Each check returns { status: 'pass' | 'warn' | 'fail' | 'error', record, issues }
+  async checkSpf(domain) {
+    const records = (await this.lookupTxt(domain)).filter(record => /^v=spf1(\s|$)/i.test(record));
+
+    if (records.length === 0) {
+      return { status: 'fail', record: null, issues: ['No SPF record found'] };
+    }
+
+    if (records.length > 1) {
+      return { status: 'fail', record: records, issues: ['More than one SPF record; receivers treat this as a permanent error'] };
+    }
+
+    const [record] = records;
+    const all = /(^|\s)([~?+-]?)all(\s|$)/i.exec(record);
+    const lookups = (record.match(/(^|\s)[~?+-]?(include|a|mx|ptr|exists|redirect)[:=\s/]/gi) || []).length;
+    const issues = [];
+
+    if (!all && !/redirect=/i.test(record)) {
+      issues.push('No "all" mechanism; mail from unlisted servers is treated as neutral');
+    } else if (all && ['+', ''].includes(all[2])) {
+      issues.push('"+all" lets any server send as this domain');
+    } else if (all && all[2] === '?') {
+      issues.push('"?all" makes SPF neutral for unlisted servers');
+    }
+
+    if (lookups > 10) {
+      issues.push(`${lookups} DNS-querying mechanisms; SPF allows at most 10`);
+    }
+
+    const failing = all && ['+', ''].includes(all[2]);
+    return { status: failing ? 'fail' : (issues.length > 0 ? 'warn' : 'pass'), record, issues };
+  }
+
+  // With a stored key, the published record must carry that key's public half
+  async checkDkim(domain, selector, key = this.getKey(domain)) {
+    const name = `${selector || (key ? key.selector : DEFAULT_SELECTOR)}._domainkey.${domain}`;
+    const record = (await this.lookupTxt(name)).find(candidate => /(^|;)\s*(v=DKIM1|p=)/i.test(candidate));
+
+    if (!record) {
+      return { status: 'fail', name, record: null, signing: !!key, issues: [`No DKIM record found at ${name}`] };
+    }
+
+    const tags = parseTags(record);
+    const issues = [];
+
+    if (!tags.p) {
+      issues.push('The record has an empty p= tag, which means the key was revoked');
+    } else if (key && (!selector || selector === key.selector) && tags.p.replace(/\s+/g, '') !== this.publicKeyData(key.publicKey)) {
+      issues.push('The published key does not match the key this service signs with');
+    }
+
+    if (!key) {
+      issues.push('No signing key is stored for this domain, so mail from it goes out unsigned');
+    }
+
+    const failing = !tags.p || issues.some(issue => issue.startsWith('The published key'));
+    return { status: failing ? 'fail' : (issues.length > 0 ? 'warn' : 'pass'), name, record, signing: !!key, issues };
+  }
+
+  async checkDmarc(domain) {
+    const name = `_dmarc.${domain}`;
+    const records = (await this.lookupTxt(name)).filter(record => /^v=DMARC1(\s|;|$)/i.test(record));
+
+    if (records.length !== 1) {
+      return {
+        status: 'fail',
+        record: records.length > 1 ? records : null,
+        issues: [records.length > 1 ? 'More than one DMARC record; receivers ignore them all' : 'No DMARC record found']
+      };
+    }
+
+    const [record] = records;
+    const tags = parseTags(record);
+    const policy = (tags.p || '').toLowerCase();
+    const issues = [];
+
+    if (!['none', 'quarantine', 'reject'].includes(policy)) {
+      return { status: 'fail', record, policy: tags.p || null, issues: ['Missing or invalid p= policy'] };
+    }
+
+    if (policy === 'none') {
+      issues.push('Policy is "none": failing mail is only reported, never blocked');
+    }
+
+    if (tags.pct && parseInt(tags.pct) < 100) {
+      issues.push(`Policy applies to ${tags.pct}% of failing mail only`);
+    }
+
+    if (!tags.rua) {
+      issues.push('No rua= address, so no aggregate reports are sent');
+    }
+
+    return { status: issues.length > 0 ? 'warn' : 'pass', record, policy, issues };
+  }
+
+  // Run every check. A failed lookup shows up as that check's 'error' status
+  // rather than failing the whole report.
+  async check(domain, { selector } = {}) {
+    const name = domain.toLowerCase();
+    const run = async check => {
+      try {
+        return await check();
+      } catch (error) {
+        return { status: 'error', record: null, issues: [`DNS lookup failed: ${error.message}`] };
+      }
+    };
+
+    const [spf, dkim, dmarc] = await Promise.all([
+      run(() => this.checkSpf(name)),
+      run(() => this.checkDkim(name, selector)),
+      run(() => this.checkDmarc(name))
+    ]);
+
+    return {
+      domain: name,
+      ok: [spf, dkim, dmarc].every(result => result.status === 'pass' || result.status === 'warn'),
+      spf,
+      dkim,
+      dmarc
+    };
+  }
+}
+
+module.exports = new DomainService();
+module.exports.KEY_SIZES = KEY_SIZES;
+module.exports.domainOf = domainOf;
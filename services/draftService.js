@@ -0,0 +1,246 @@
+const crypto = require('crypto');
+const FileStore = require('./fileStore');
+const historyService = require('./historyService');
+const tenantService = require('./tenantService');
+
+const DRAFT_STATUS = {
+  DRAFT: 'draft',
+  PENDING_REVIEW: 'pending_review',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  SENT: 'sent'
+};
+
+// Review actions and the states each may start from
+const TRANSITIONS = {
+  submit: { from: [DRAFT_STATUS.DRAFT], to: DRAFT_STATUS.PENDING_REVIEW },
+  approve: { from: [DRAFT_STATUS.PENDING_REVIEW], to: DRAFT_STATUS.APPROVED },
+  reject: { from: [DRAFT_STATUS.PENDING_REVIEW], to: DRAFT_STATUS.REJECTED }
+};
+
+// Where a version's content came from
+const VERSION_SOURCES = ['generate', 'improve', 'reply', 'edit', 'manual'];
+
+// AI outputs are remembered this long, and at most this many; enough to send or
+// save one the same week
+const GENERATION_TTL_MS = (parseInt(process.env.GENERATION_TTL_HOURS) || 7 * 24) * 60 * 60 * 1000;
+const MAX_GENERATIONS = parseInt(process.env.GENERATION_MAX_RECORDS) || 10000;
+
+// Audit values that name a method rather than a person (see actorOf); an author
+// recorded like this can't be told apart from a reviewer
+const UNIDENTIFIED_ACTORS = ['apiKey', 'jwt', 'none'];
+
+// AI-written emails waiting for, or past, human review. Every change of content
+// is a new version, so reviewers see exactly what they approved and how the text
+// got there; a change after submitting sends the draft back for review.
+class DraftService {
+  constructor() {
+    this.drafts = new FileStore('drafts');
+    // With this on, /send only takes AI-written content through an approved draft
+    this.approvalRequired = process.env.DRAFT_APPROVAL_REQUIRED === 'true';
+    // Every AI output handed out, so /send and templates can tell where content
+    // came from by its generationId instead of trusting a client-supplied label
+    this.generations = new FileStore('generations');
+
+    historyService.onPurge(cutoff => this.pruneGenerations(cutoff));
+  }
+
+  // Record an AI output's metadata; returns the id clients pass on as "generationId"
+  recordGeneration(tenantId, metadata) {
+    this.pruneGenerations();
+    return this.generations.insert({ tenantId, metadata }).id;
+  }
+
+  // Another tenant's generation is reported the same as an unknown one
+  getGeneration(id, tenantId) {
+    const generation = this.generations.get(id);
+    return generation && tenantService.owns(generation, tenantId) ? generation : null;
+  }
+
+  // Drop generations older than the TTL (or `cutoff`) and the oldest beyond the cap
+  pruneGenerations(cutoff = new Date(Date.now() - GENERATION_TTL_MS).toISOString()) {
+    const all = this.generations.all().sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    const excess = Math.max(0, all.length + 1 - MAX_GENERATIONS);
+    const stale = all.filter((generation, index) => index < excess || generation.createdAt < cutoff);
+
+    if (stale.length > 0) {
+      stale.forEach(generation => this.generations.remove(generation.id, { persist: false }));
+      this.generations.flush();
+    }
+  }
+
+  // Newest change first, without versions and comments
+  list(tenantId, { status, page = 1, limit = 20 } = {}) {
+    const matches = this.drafts
+      .find(draft => tenantService.owns(draft, tenantId) && (!status || draft.status === status))
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+
+    return {
+      items: matches.slice((page - 1) * limit, page * limit).map(draft => this.summarize(draft)),
+      pagination: {
+        page,
+        limit,
+        total: matches.length,
+        pages: Math.ceil(matches.length / limit)
+      }
+    };
+  }
+
+  summarize(draft) {
+    const { versions, comments, ...summary } = draft;
+    return { ...summary, ...this.current(draft), versionCount: versions.length, commentCount: comments.length };
+  }
+
+  // Another tenant's draft is reported the same as a missing one
+  get(id, tenantId) {
+    const draft = this.drafts.get(id);
+    return draft && tenantService.owns(draft, tenantId) ? draft : null;
+  }
+
+  // The latest version's content
+  current(draft) {
+    const { subject, body, bodyFormat } = draft.versions[draft.versions.length - 1];
+    return { subject, body, bodyFormat };
+  }
+
+  // `metadata` is the generation block from /generate or /reply
+  create({ subject, body, bodyFormat = 'text', metadata = null }, { tenantId, source = 'manual', author = null }) {
+    return this.drafts.insert({
+      tenantId,
+      status: DRAFT_STATUS.DRAFT,
+      createdBy: author,
+      metadata,
+      currentVersion: 1,
+      versions: [this.version(1, { subject, body, bodyFormat }, { source, author })],
+      comments: [],
+      review: null,
+      jobId: null,
+      sentAt: null
+    });
+  }
+
+  version(number, { subject, body, bodyFormat }, { source, author, improvementRequest = null, basedOn = null }) {
+    return {
+      version: number,
+      subject,
+      body,
+      bodyFormat,
+      source,
+      // For "improve" versions: what was asked for, and which version was improved
+      improvementRequest,
+      basedOn,
+      createdBy: author,
+      createdAt: new Date().toISOString()
+    };
+  }
+
+  // Add a version on top of the current one. A draft under review or already
+  // approved goes back to "draft": the approval was for other content.
+  addVersion(id, changes, { source = 'edit', author = null, improvementRequest = null } = {}) {
+    const draft = this.drafts.get(id);
+    const number = draft.currentVersion + 1;
+    const content = { ...this.current(draft), ...changes };
+    const reopened = draft.status !== DRAFT_STATUS.DRAFT;
+
+    return this.drafts.update(id, {
+      status: DRAFT_STATUS.DRAFT,
+      currentVersion: number,
+      versions: [...draft.versions, this.version(number, content, { source, author, improvementRequest, basedOn: draft.currentVersion })],
+      ...(reopened && { review: null }),
+      comments: reopened
+        ? [...draft.comments, this.comment(draft, `New version ${number} returned the draft from ${draft.status} to draft`, { author, action: 'reopen' })]
+        : draft.comments
+    });
+  }
+
+  comment(draft, body, { author = null, action = null } = {}) {
+    return {
+      id: crypto.randomUUID(),
+      body,
+      // submit, approve, reject or reopen; null for a plain comment
+      action,
+      version: draft.currentVersion,
+      author,
+      createdAt: new Date().toISOString()
+    };
+  }
+
+  addComment(id, body, { author = null } = {}) {
+    const draft = this.drafts.get(id);
+    return this.drafts.update(id, { comments: [...draft.comments, this.comment(draft, body, { author })] });
+  }
+
+  canTransition(draft, action) {
+    return TRANSITIONS[action].from.includes(draft.status);
+  }
+
+  // Who wrote or submitted the draft's current version
+  authorsOf(draft) {
+    return [
+      draft.createdBy,
+      draft.versions[draft.versions.length - 1].createdBy,
+      draft.review && draft.review.submittedBy
+    ].filter(Boolean);
+  }
+
+  // Why `reviewer` may not approve content by `authors`, or null. The reviewer
+  // must be identifiable and someone else than every author; an author recorded
+  // without an identity can't be ruled out, so nobody may approve their work.
+  reviewBlocker(authors, reviewer) {
+    if (!reviewer || UNIDENTIFIED_ACTORS.includes(reviewer)) {
+      return { statusCode: 403, message: 'Approving needs a credential that identifies its holder: an API key, or a JWT with a "sub" claim' };
+    }
+
+    if (authors.some(author => author === reviewer || UNIDENTIFIED_ACTORS.includes(author))) {
+      return { statusCode: 403, message: 'It must be approved by someone other than who wrote, edited or submitted it' };
+    }
+
+    return null;
+  }
+
+  // Move the draft through review; the comment (if any) is kept with the action
+  transition(id, action, { author = null, comment = null } = {}) {
+    const draft = this.drafts.get(id);
+    const at = new Date().toISOString();
+    const changes = { status: TRANSITIONS[action].to };
+
+    if (action === 'submit') {
+      changes.review = { submittedBy: author, submittedAt: at, version: draft.currentVersion, reviewedBy: null, reviewedAt: null };
+    } else {
+      changes.review = { ...draft.review, reviewedBy: author, reviewedAt: at };
+    }
+
+    changes.comments = [...draft.comments, this.comment(draft, comment, { author, action })];
+    return this.drafts.update(id, changes);
+  }
+
+  // Why the draft can't be sent now, or null. Rejected and sent drafts never
+  // can; with approval required, only approved ones can.
+  sendBlocker(draft) {
+    if (draft.status === DRAFT_STATUS.SENT) {
+      return { statusCode: 409, message: `Draft was already sent (job ${draft.jobId})` };
+    }
+
+    if (draft.status === DRAFT_STATUS.REJECTED) {
+      return { statusCode: 409, message: 'Draft was rejected; edit it and submit it for review again' };
+    }
+
+    if (this.approvalRequired && draft.status !== DRAFT_STATUS.APPROVED) {
+      return { statusCode: 403, message: `Draft is ${draft.status}; it must be approved before it can be sent` };
+    }
+
+    return null;
+  }
+
+  markSent(id, jobId) {
+    return this.drafts.update(id, { status: DRAFT_STATUS.SENT, jobId, sentAt: new Date().toISOString() });
+  }
+
+  remove(id) {
+    return this.drafts.remove(id);
+  }
+}
+
+module.exports = new DraftService();
+module.exports.DRAFT_STATUS = DRAFT_STATUS;
+module.exports.VERSION_SOURCES = VERSION_SOURCES;
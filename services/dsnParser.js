@@ -0,0 +1,76 @@
+// Minimal parser for RFC 3464 delivery status notifications (bounce messages).
+// Only reads what bounce processing needs: who failed, why, and which message it was.
+
+const { parseFields, splitEntity, decodeBody, leafParts } = require('./mailParser');
+
+// "smtp; 550 User unknown" -> "550 User unknown"
+const withoutType = value => value.replace(/^[^;]*;\s*/, '').trim();
+
+// "rfc822; <user@example.com>" -> "user@example.com"
+const addressOf = value => withoutType(value).replace(/^<|>$/g, '');
+
+// 5.x.x status codes are permanent failures, 4.x.x temporary ones
+const bounceTypeOf = (action, status) => {
+  if (/^5\./.test(status || '')) {
+    return 'hard';
+  }
+
+  if (/^4\./.test(status || '') || action === 'delayed') {
+    return 'soft';
+  }
+
+  return action === 'failed' ? 'hard' : null;
+};
+
+// Parse a raw DSN message into bounce events:
+// [{ type: 'bounce', bounceType, email, messageId, status, diagnostic }]
+// Recipients whose action is delivered/relayed/expanded are not bounces and are left out.
+const parseDsn = raw => {
+  const message = splitEntity(String(raw));
+  const parts = leafParts(message);
+  const typeOf = part => (part.headers['content-type'] || 'text/plain').split(';')[0].trim().toLowerCase();
+
+  // The returned original message (or just its headers) tells us which message bounced
+  const original = parts.find(part => ['message/rfc822', 'text/rfc822-headers'].includes(typeOf(part)));
+  const originalHeaders = original ? splitEntity(decodeBody(original)).headers : {};
+  const messageId = originalHeaders['message-id'] || null;
+
+  const report = parts.find(part => ['message/delivery-status', 'message/global-delivery-status'].includes(typeOf(part)));
+
+  if (!report) {
+    // Some MTAs send plain-text bounces and only name the failed address in a header
+    const failed = message.headers['x-failed-recipients'];
+    return failed
+      ? failed.split(',').map(email => ({
+        type: 'bounce',
+        bounceType: 'hard',
+        email: email.trim(),
+        messageId,
+        status: null,
+        diagnostic: null
+      }))
+      : [];
+  }
+
+  // The first block describes the message, every following block one recipient
+  return decodeBody(report)
+    .split(/\r?\n\s*\r?\n/)
+    .map(parseFields)
+    .filter(fields => fields['final-recipient'] || fields['original-recipient'])
+    .map(fields => {
+      const action = (fields.action || '').toLowerCase();
+      const status = fields.status ? fields.status.split(/\s/)[0] : null;
+
+      return {
+        type: 'bounce',
+        bounceType: bounceTypeOf(action, status),
+        email: addressOf(fields['final-recipient'] || fields['original-recipient']),
+        messageId,
+        status,
+        diagnostic: fields['diagnostic-code'] ? withoutType(fields['diagnostic-code']) : null
+      };
+    })
+    .filter(event => event.bounceType);
+};
+
+module.exports = { parseDsn };
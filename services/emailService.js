@@ -1,206 +1,436 @@
 const nodemailer = require('nodemailer');
+const attachmentService = require('./attachmentService');
+const trackingService = require('./trackingService');
+const renderService = require('./renderService');
+const domainService = require('./domainService');
+const validationService = require('./validationService');
+const tenantService = require('./tenantService');
+
+// Errors that mean the SMTP server couldn't be reached at all, as opposed to
+// the server rejecting a message. Only these trigger failover to a backup profile.
+const CONNECTION_ERROR_CODES = ['ECONNECTION', 'ETIMEDOUT', 'ESOCKET', 'ECONNRESET', 'ECONNREFUSED', 'EDNS'];
+
+// Header fields of a raw message, unfolded, keyed by their name as written
+const headerFields = raw => {
+  const end = raw.indexOf('\r\n\r\n');
+  const fields = {};
+
+  raw.slice(0, end === -1 ? raw.length : end).replace(/\r\n[ \t]+/g, ' ').split('\r\n').forEach(line => {
+    const separator = line.indexOf(':');
+    if (separator > 0) {
+      fields[line.slice(0, separator)] = line.slice(separator + 1).trim();
+    }
+  });
+
+  return fields;
+};
+
+const RATE_WINDOWS = {
+  perMinute: 60 * 1000,
+  perHour: 60 * 60 * 1000,
+  perDay: 24 * 60 * 60 * 1000
+};
 
 class EmailService {
   constructor() {
-    this.transporter = this.createTransporter();
-  }
+    this.profiles = this.loadProfiles();
+    this.defaultProfile = process.env.DEFAULT_SENDER_PROFILE || (this.profiles.size > 0 ? this.profiles.keys().next().value : 'default');
 
-  createTransporter() {
-    if (!process.env.EMAIL_HOST || !process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
+    // Compiles messages into their raw source instead of sending them, for previews
+    this.previewTransport = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'crlf' });
+
+    const defaultProfile = this.profiles.get(this.defaultProfile);
+    this.transporter = defaultProfile ? defaultProfile.transporter : null;
+
+    if (!this.transporter) {
       console.warn('Email configuration missing. Email sending will not work.');
-      return null;
     }
+  }
 
-    return nodemailer.createTransport({
-      host: process.env.EMAIL_HOST,
-      port: parseInt(process.env.EMAIL_PORT) || 587,
-      secure: false, // true for 465, false for other ports
-      auth: {
+  // Profiles come from SENDER_PROFILES (a JSON array). The EMAIL_* variables
+  // still configure a profile named "default" so single-account setups keep working.
+  loadProfiles() {
+    const configs = [];
+
+    if (process.env.EMAIL_HOST && process.env.EMAIL_USER && process.env.EMAIL_PASS) {
+      configs.push({
+        name: 'default',
+        host: process.env.EMAIL_HOST,
+        port: parseInt(process.env.EMAIL_PORT) || 587,
         user: process.env.EMAIL_USER,
         pass: process.env.EMAIL_PASS,
+        backup: process.env.EMAIL_BACKUP_PROFILE || null,
+        requireTLS: process.env.EMAIL_REQUIRE_TLS !== 'false',
+        ...(process.env.EMAIL_TLS_REJECT_UNAUTHORIZED === 'false' && { tls: { rejectUnauthorized: false } })
+      });
+    }
+
+    if (process.env.SENDER_PROFILES) {
+      try {
+        configs.push(...JSON.parse(process.env.SENDER_PROFILES));
+      } catch (error) {
+        console.error('Invalid SENDER_PROFILES JSON, ignoring it:', error.message);
+      }
+    }
+
+    const profiles = new Map();
+    configs.forEach(config => {
+      if (!config.name || !config.host || !config.user || !config.pass) {
+        console.warn(`Sender profile ${config.name || '(unnamed)'} is missing name/host/user/pass, skipping it.`);
+        return;
+      }
+
+      if (config.tls && config.tls.rejectUnauthorized === false) {
+        console.warn(`Sender profile ${config.name} does not verify its server's TLS certificate.`);
+      }
+
+      profiles.set(config.name, {
+        name: config.name,
+        from: config.from || config.user,
+        fromName: config.fromName || null,
+        backup: config.backup || null,
+        limits: config.limits || {},
+        config,
+        transporter: this.createTransporter(config),
+        sentAt: [],
+        health: {
+          status: 'unknown',
+          consecutiveFailures: 0,
+          lastSuccessAt: null,
+          lastErrorAt: null,
+          lastError: null
+        }
+      });
+    });
+
+    return profiles;
+  }
+
+  createTransporter(config) {
+    return nodemailer.createTransport({
+      host: config.host,
+      port: parseInt(config.port) || 587,
+      secure: config.secure === true, // true for 465, false for other ports
+      auth: {
+        user: config.user,
+        pass: config.pass,
       },
+      // Without implicit TLS the connection must still upgrade with STARTTLS;
+      // a profile opts out with "requireTLS": false
+      requireTLS: config.secure !== true && config.requireTLS !== false,
+      // Certificates are verified unless the profile's "tls" says otherwise,
+      // e.g. { "rejectUnauthorized": false } for a relay with a self-signed one
       tls: {
-        rejectUnauthorized: false
+        rejectUnauthorized: true,
+        minVersion: 'TLSv1.2',
+        ...config.tls
       }
     });
   }
 
+  // Every address this service sends from, to recognise our own messages in a
+  // thread. With `tenant`, only those of the profiles the tenant may send from.
+  ownAddresses(tenant = null) {
+    return [...this.profiles.values()]
+      .filter(profile => !tenant || tenantService.canUseProfile(tenant, profile.name))
+      .map(profile => profile.from.toLowerCase());
+  }
+
+  // The profile that sends from this address, else one on the same domain
+  profileForAddress(address) {
+    const email = String(address).toLowerCase();
+    const profiles = [...this.profiles.values()];
+    const domain = email.split('@').pop();
+
+    return profiles.find(profile => profile.from.toLowerCase() === email) ||
+      profiles.find(profile => profile.from.toLowerCase().split('@').pop() === domain) ||
+      null;
+  }
+
+  hasProfile(name) {
+    return this.profiles.has(name);
+  }
+
+  getProfile(name = this.defaultProfile) {
+    const profile = this.profiles.get(name);
+
+    if (!profile) {
+      throw new Error(`Unknown sender profile: ${name}`);
+    }
+
+    return profile;
+  }
+
+  // Backup profiles to try, in order, after the given one. Guards against cycles.
+  getFailoverChain(name) {
+    const chain = [];
+    let profile = this.profiles.get(name);
+
+    while (profile && profile.backup && !chain.includes(profile.backup) && profile.backup !== name) {
+      chain.push(profile.backup);
+      profile = this.profiles.get(profile.backup);
+    }
+
+    return chain.filter(backup => this.profiles.has(backup));
+  }
+
+  isConnectionError(error) {
+    return CONNECTION_ERROR_CODES.includes(error.code);
+  }
+
+  // Throws a temporary error once a profile has used up any of its sending limits
+  checkLimits(profile) {
+    const now = Date.now();
+    profile.sentAt = profile.sentAt.filter(timestamp => now - timestamp < RATE_WINDOWS.perDay);
+
+    Object.entries(RATE_WINDOWS).forEach(([limit, windowMs]) => {
+      const max = profile.limits[limit];
+
+      if (max && profile.sentAt.filter(timestamp => now - timestamp < windowMs).length >= max) {
+        const error = new Error(`Sender profile ${profile.name} reached its ${limit} limit of ${max} messages`);
+        error.code = 'ERATELIMIT';
+        throw error;
+      }
+    });
+  }
+
+  recordSuccess(profile) {
+    profile.sentAt.push(Date.now());
+    this.markHealthy(profile);
+  }
+
+  markHealthy(profile) {
+    profile.health = {
+      ...profile.health,
+      status: 'healthy',
+      consecutiveFailures: 0,
+      lastSuccessAt: new Date().toISOString()
+    };
+  }
+
+  recordFailure(profile, error) {
+    const consecutiveFailures = profile.health.consecutiveFailures + 1;
+    profile.health = {
+      ...profile.health,
+      status: consecutiveFailures >= 3 ? 'down' : 'degraded',
+      consecutiveFailures,
+      lastErrorAt: new Date().toISOString(),
+      lastError: error.message
+    };
+  }
+
+  getProfileStatus() {
+    return [...this.profiles.values()].map(profile => ({
+      name: profile.name,
+      default: profile.name === this.defaultProfile,
+      host: profile.config.host,
+      from: profile.from.replace(/(.{3}).*@/, '$1***@'),
+      backup: profile.backup,
+      limits: profile.limits,
+      dkim: !!domainService.getKey(domainService.domainOf(profile.from)),
+      ...profile.health
+    }));
+  }
+
   validateEmail(email) {
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    return emailRegex.test(email);
+    return validationService.isValidSyntax(email);
   }
 
+  // The bare address to send to and store: "Jane <Jane@X.com>" -> "jane@x.com".
+  // Lowercased whole, as suppression, dedupe and history compare addresses that way.
+  normalizeAddress(input) {
+    return validationService.normalize(input).email.toLowerCase();
+  }
+
+  // Valid addresses come back normalized (see normalizeAddress) and de-duplicated
   validateEmailList(emails) {
     const errors = [];
     const validEmails = [];
+    const seen = new Set();
 
     emails.forEach((email, index) => {
       const trimmedEmail = email.trim();
+      const address = validationService.normalize(trimmedEmail);
+      const problems = validationService.checkOutbound(address);
+
       if (!trimmedEmail) {
         errors.push(`Email at position ${index + 1} is empty`);
       } else if (!this.validateEmail(trimmedEmail)) {
         errors.push(`Invalid email format: ${trimmedEmail}`);
-      } else {
-        validEmails.push(trimmedEmail);
+      } else if (problems.length > 0) {
+        errors.push(`Cannot send to ${trimmedEmail}: ${problems.join(', ')}`);
+      } else if (!seen.has(address.email.toLowerCase())) {
+        seen.add(address.email.toLowerCase());
+        validEmails.push(address.email.toLowerCase());
       }
     });
 
     return { validEmails, errors };
   }
 
-  async sendEmail({ recipients, subject, body, senderName = 'Email Sender App' }) {
+  buildMailOptions({ to, cc = [], bcc = [], replyTo = [], subject, body, bodyFormat = 'text', layout = true, senderName, senderProfile, attachments = [], tracking = null, unsubscribeUrl = null, inReplyTo = null, references = [] }) {
+    const profile = this.getProfile(senderProfile || undefined);
+    const name = senderName || profile.fromName || 'Email Sender App';
+    // Signed with the From domain's key when one is stored
+    const dkim = domainService.dkimFor(profile.from);
+    const rendered = renderService.render({ body, bodyFormat, layout, subject, brand: profile.config.brand });
+    // Open pixel and click redirects are added on top of the rendered body
+    let html = tracking ? trackingService.instrument(rendered.html, tracking) : rendered.html;
+    let text = rendered.text;
+
+    // The unsubscribe footer goes in after tracking so its link is never rewritten
+    if (unsubscribeUrl) {
+      html = renderService.appendToBody(html, `<p style="font-size:12px;color:#888888;text-align:center">You are receiving this email because you subscribed to our updates. <a href="${renderService.escapeHtml(unsubscribeUrl)}" style="color:#888888">Unsubscribe</a></p>`);
+      text += `\n\n--\nUnsubscribe: ${unsubscribeUrl}`;
+    }
+
+    return {
+      from: `"${name}" <${profile.from}>`,
+      to,
+      ...(cc.length > 0 && { cc }),
+      ...(bcc.length > 0 && { bcc }),
+      ...(replyTo.length > 0 && { replyTo }),
+      subject,
+      html,
+      text,
+      // Threading headers of a reply (RFC 5322 3.6.4)
+      ...(inReplyTo && { inReplyTo }),
+      ...(references.length > 0 && { references }),
+      ...(attachments.length > 0 && { attachments: attachmentService.toMailAttachments(attachments) }),
+      ...(dkim && { dkim }),
+      // RFC 8058 one-click unsubscribe
+      ...(unsubscribeUrl && {
+        headers: {
+          'List-Unsubscribe': `<${unsubscribeUrl}>`,
+          'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+        }
+      })
+    };
+  }
+
+  // The message as deliver() would hand it to SMTP, compiled but not sent: final
+  // headers, both bodies, the SMTP envelope (which includes bcc) and the raw source
+  async renderMessage(message) {
+    const mailOptions = this.buildMailOptions(message);
+    const info = await this.previewTransport.sendMail(mailOptions);
+    const source = info.message.toString('utf8');
+    const headerEnd = source.indexOf('\r\n\r\n');
+    // The stream transport keeps Bcc in the headers; SMTP delivery never does
+    const raw = source.slice(0, headerEnd).replace(/^Bcc:.*(\r\n[ \t].*)*\r\n/im, '') + source.slice(headerEnd);
+
+    return {
+      to: mailOptions.to,
+      subject: mailOptions.subject,
+      headers: headerFields(raw),
+      html: mailOptions.html,
+      text: mailOptions.text,
+      envelope: info.envelope,
+      attachments: (mailOptions.attachments || []).map(({ filename, contentType, cid }) => ({ filename, contentType, cid: cid || null })),
+      raw
+    };
+  }
+
+  // Send a single message without any retry handling. The queue worker is the
+  // only sender: it handles validation, suppression, retries and history.
+  // When the profile's server can't be reached, the message goes out through its
+  // backup profile's transport instead (the From address stays the same).
+  async deliver(message) {
     if (!this.transporter) {
       throw new Error('Email service is not configured. Please check your environment variables.');
     }
 
-    // Validate recipients
-    const { validEmails, errors } = this.validateEmailList(recipients);
-    
-    if (errors.length > 0) {
-      throw new Error(`Email validation failed: ${errors.join(', ')}`);
-    }
+    const primary = message.senderProfile || this.defaultProfile;
+    const mailOptions = this.buildMailOptions(message);
+    const candidates = [primary, ...this.getFailoverChain(primary)];
+    let lastError;
 
-    if (validEmails.length === 0) {
-      throw new Error('No valid recipients found');
-    }
+    for (const name of candidates) {
+      const profile = this.getProfile(name);
 
-    try {
-      // Verify transporter connection
-      await this.transporter.verify();
-
-      const results = [];
-      const failedEmails = [];
-
-      // Send emails individually to handle failures gracefully
-      for (const email of validEmails) {
-        try {
-          const mailOptions = {
-            from: `"${senderName}" <${process.env.EMAIL_USER}>`,
-            to: email,
-            subject: subject,
-            html: this.formatEmailBody(body),
-            text: this.stripHtml(body), // Fallback plain text
-          };
-
-          const info = await this.transporter.sendMail(mailOptions);
-          results.push({
-            email,
-            status: 'sent',
-            messageId: info.messageId
-          });
-        } catch (emailError) {
-          console.error(`Failed to send email to ${email}:`, emailError);
-          failedEmails.push({
-            email,
-            error: emailError.message
-          });
+      try {
+        this.checkLimits(profile);
+        const info = await profile.transporter.sendMail(mailOptions);
+        this.recordSuccess(profile);
+        return { ...info, senderProfile: profile.name };
+      } catch (error) {
+        lastError = error;
+
+        if (error.code === 'ERATELIMIT') {
+          throw error;
         }
-      }
 
-      return {
-        success: true,
-        totalRecipients: validEmails.length,
-        successful: results.length,
-        failed: failedEmails.length,
-        results,
-        failures: failedEmails
-      };
+        this.recordFailure(profile, error);
 
-    } catch (error) {
-      console.error('Email Service Error:', error);
-      
-      if (error.code === 'EAUTH') {
-        throw new Error('Email authentication failed. Please check your email credentials.');
-      }
-      
-      if (error.code === 'ECONNECTION') {
-        throw new Error('Failed to connect to email server. Please check your network connection.');
+        if (!this.isConnectionError(error)) {
+          throw error;
+        }
+
+        console.warn(`⚠️  Sender profile ${profile.name} unreachable:`, error.message);
       }
-      
-      throw new Error(`Email sending failed: ${error.message}`);
     }
+
+    throw lastError;
   }
 
-  formatEmailBody(body) {
-    let emailBody = body;
-    
-    console.log('📧 Formatting email body, type:', typeof body);
-    console.log('📧 Body preview:', body?.substring(0, 200));
-    
-    // Emergency fix: if body still contains JSON structure, extract it
-    if (typeof body === 'string' && body.includes('"subject"') && body.includes('"body"')) {
-      console.log('🚨 EMERGENCY: Body contains full JSON structure, attempting to extract...');
-      try {
-        const match = body.match(/"body"\s*:\s*"([^"]*(?:\\.[^"]*)*)"/);
-        if (match && match[1]) {
-          emailBody = match[1].replace(/\\n/g, '\n').replace(/\\"/g, '"');
-          console.log('✅ Extracted body from JSON:', emailBody.substring(0, 100));
-        }
-      } catch (e) {
-        console.error('❌ Failed to extract body from JSON structure');
-      }
-    }
-    
-    // Handle case where body might be a JSON string or object
-    if (typeof body === 'object' && body !== null) {
-      // If body is an object, try to extract the actual email content
-      if (body.body) {
-        emailBody = body.body;
-        console.log('Extracted body from object:', emailBody?.substring(0, 100));
-      } else if (body.subject && body.body === undefined) {
-        // If it's the full email object, something went wrong
-        console.error('⚠️  Full email object passed as body!', body);
-        emailBody = 'Error: Invalid email body format';
-      }
-    } else if (typeof body === 'string') {
-      // If body is a string that looks like JSON, try to parse it
-      if (body.trim().startsWith('{') && body.trim().endsWith('}')) {
-        try {
-          const parsed = JSON.parse(body);
-          if (parsed.body) {
-            emailBody = parsed.body;
-            console.log('Extracted body from JSON string:', emailBody?.substring(0, 100));
-          } else if (parsed.subject && parsed.body === undefined) {
-            console.error('⚠️  Parsed object missing body field!', parsed);
-            emailBody = 'Error: Parsed email missing body content';
-          }
-        } catch (e) {
-          console.warn('Failed to parse body as JSON, using as plain text');
-          // Remove any JSON-like artifacts from plain text
-          emailBody = body.replace(/^["']|["']$/g, '').replace(/\\n/g, '\n');
-        }
+  // Per-address outcome of one sendMail call. A group message can be accepted
+  // for some recipients and rejected for others (info.rejected).
+  splitDeliveryResult(addresses, info) {
+    const rejected = new Set((info.rejected || []).map(address => String(address).toLowerCase()));
+    const rejectedErrors = info.rejectedErrors || [];
+
+    return addresses.map(email => {
+      if (!rejected.has(email.toLowerCase())) {
+        return { email, status: 'sent', messageId: info.messageId };
       }
+
+      const rejection = rejectedErrors.find(err => String(err.recipient).toLowerCase() === email.toLowerCase());
+      return { email, status: 'failed', error: rejection ? rejection.message : 'Recipient rejected by server' };
+    });
+  }
+
+  // 4xx SMTP replies and dropped connections are worth retrying, anything else
+  // (bad address, auth failure, 5xx rejection) will fail the same way again
+  isTemporaryError(error) {
+    if (error.responseCode) {
+      return error.responseCode >= 400 && error.responseCode < 500;
     }
-    
-    // Ensure we have a string
-    if (typeof emailBody !== 'string') {
-      console.error('⚠️  Email body is not a string after processing!', typeof emailBody);
-      emailBody = String(emailBody);
-    }
-    
-    // Convert plain text to HTML with basic formatting
-    return emailBody
-      .replace(/\n\n/g, '</p><p>')
-      .replace(/\n/g, '<br>')
-      .replace(/^/, '<p>')
-      .replace(/$/, '</p>')
-      .replace(/<p><\/p>/g, '');
+
+    return error.code === 'ERATELIMIT' || this.isConnectionError(error);
   }
 
-  stripHtml(html) {
-    // Remove HTML tags for plain text fallback
-    return html.replace(/<[^>]*>/g, '').replace(/&nbsp;/g, ' ');
+  // Validate recipients together with cc/bcc/replyTo, reporting every bad address at once
+  validateAddressFields({ recipients, cc = [], bcc = [], replyTo = [] }) {
+    const fields = { recipients, cc, bcc, replyTo };
+    const validated = {};
+    const errors = [];
+
+    Object.entries(fields).forEach(([field, emails]) => {
+      const result = this.validateEmailList(emails);
+      validated[field] = result.validEmails;
+      errors.push(...result.errors.map(message => field === 'recipients' ? message : `${field}: ${message}`));
+    });
+
+    return { ...validated, errors };
   }
 
-  async testConnection() {
+  // Body as an HTML fragment without the layout; see renderService for the formats
+  formatEmailBody(body, bodyFormat = 'text') {
+    return renderService.toHtml(body, bodyFormat);
+  }
+
+  async testConnection(profileName) {
     if (!this.transporter) {
       throw new Error('Email service is not configured');
     }
 
+    const profile = this.getProfile(profileName || undefined);
+
     try {
-      await this.transporter.verify();
-      return { success: true, message: 'Email service connection successful' };
+      await profile.transporter.verify();
+      this.markHealthy(profile);
+      return { success: true, message: `Email service connection successful (${profile.name})` };
     } catch (error) {
+      this.recordFailure(profile, error);
       throw new Error(`Email service connection failed: ${error.message}`);
     }
   }
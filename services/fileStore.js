@@ -0,0 +1,128 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Small JSON-file backed collection. Each collection lives in its own file
+// under DATA_DIR and is cached in memory; every mutation is flushed to disk
+// (write to a temp file, then rename) so a crash never leaves a half-written file.
+// An insert, update or removal with `persist: false` stays in memory until the next
+// flush, for callers that change many records in a row.
+class FileStore {
+  constructor(name) {
+    this.name = name;
+    this.records = null;
+    this.dirty = false;
+  }
+
+  get filePath() {
+    const dataDir = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+    return path.join(dataDir, `${this.name}.json`);
+  }
+
+  load() {
+    if (this.records) {
+      return this.records;
+    }
+
+    try {
+      this.records = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Failed to read ${this.name} store, starting empty:`, error.message);
+      }
+      this.records = {};
+    }
+
+    return this.records;
+  }
+
+  persist() {
+    const filePath = this.filePath;
+    const tmpPath = `${filePath}.tmp`;
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(tmpPath, JSON.stringify(this.records, null, 2));
+    fs.renameSync(tmpPath, filePath);
+    this.dirty = false;
+  }
+
+  // Write out changes made with `persist: false`
+  flush() {
+    if (this.dirty) {
+      this.persist();
+    }
+  }
+
+  all() {
+    return Object.values(this.load());
+  }
+
+  find(predicate) {
+    return this.all().filter(predicate);
+  }
+
+  get(id) {
+    return this.load()[id] || null;
+  }
+
+  insert(record, { persist = true } = {}) {
+    const records = this.load();
+    const now = new Date().toISOString();
+    const stored = {
+      id: record.id || crypto.randomUUID(),
+      createdAt: now,
+      updatedAt: now,
+      ...record
+    };
+
+    records[stored.id] = stored;
+
+    if (persist) {
+      this.persist();
+    } else {
+      this.dirty = true;
+    }
+    return stored;
+  }
+
+  update(id, changes, { persist = true } = {}) {
+    const records = this.load();
+
+    if (!records[id]) {
+      return null;
+    }
+
+    records[id] = {
+      ...records[id],
+      ...changes,
+      id,
+      updatedAt: new Date().toISOString()
+    };
+
+    if (persist) {
+      this.persist();
+    } else {
+      this.dirty = true;
+    }
+    return records[id];
+  }
+
+  remove(id, { persist = true } = {}) {
+    const records = this.load();
+
+    if (!records[id]) {
+      return false;
+    }
+
+    delete records[id];
+
+    if (persist) {
+      this.persist();
+    } else {
+      this.dirty = true;
+    }
+    return true;
+  }
+}
+
+module.exports = FileStore;
@@ -0,0 +1,209 @@
+const FileStore = require('./fileStore');
+const tenantService = require('./tenantService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Overall outcome of a send, from its recipients' statuses
+const overallStatus = (jobStatus, recipients) => {
+  if (['scheduled', 'cancelled'].includes(jobStatus)) {
+    return jobStatus;
+  }
+
+  const statuses = recipients.map(recipient => recipient.status);
+  if (statuses.includes('pending')) {
+    return 'pending';
+  }
+
+  const delivered = statuses.filter(status => status === 'sent').length;
+  const attempted = statuses.filter(status => status !== 'suppressed').length;
+  const bounced = statuses.filter(status => status === 'bounced').length;
+
+  if (delivered === 0) {
+    if (attempted === 0) {
+      return 'suppressed';
+    }
+    return bounced === attempted ? 'bounced' : 'failed';
+  }
+
+  return delivered === attempted ? 'sent' : 'partial';
+};
+
+// Permanent record of every send: what was asked for, every message that went
+// out as rendered, and what happened to each recipient. Jobs are the worker's
+// state; history is what people query afterwards.
+class HistoryService {
+  constructor() {
+    this.entries = new FileStore('history');
+    // 0 keeps history forever
+    const retentionDays = parseInt(process.env.HISTORY_RETENTION_DAYS);
+    this.retentionDays = Number.isNaN(retentionDays) ? 90 : retentionDays;
+    this.timer = null;
+    // Stores holding the same personal data (jobs, tracking) purge with the same cutoff
+    this.purgers = [];
+  }
+
+  // purger(cutoff) removes whatever its store holds from before cutoff (a timestamp)
+  onPurge(purger) {
+    this.purgers.push(purger);
+  }
+
+  // `request` is the send request without attachment contents; `generation` is the
+  // metadata block from /generate (prompt, tone, ...) when the email was AI-written
+  create(job, { request, generation = null }) {
+    return this.entries.insert({
+      id: job.id,
+      tenantId: job.tenantId,
+      jobId: job.id,
+      status: overallStatus(job.status, job.recipients),
+      emailType: job.emailType,
+      mode: job.mode,
+      subject: job.message.subject,
+      senderName: job.message.senderName || null,
+      senderProfile: job.message.senderProfile || null,
+      request,
+      aiPrompt: generation ? generation.prompt || null : null,
+      generation,
+      recipients: job.recipients.map(recipient => this.recipientFor(recipient)),
+      messages: [],
+      scheduledFor: job.scheduledFor,
+      completedAt: null
+    });
+  }
+
+  recipientFor(recipient) {
+    return {
+      email: recipient.email,
+      status: recipient.status,
+      messageId: recipient.messageId || null,
+      variant: recipient.variant || null,
+      senderProfile: recipient.senderProfile || null,
+      error: recipient.error || null,
+      attempts: recipient.attempts,
+      lastAttemptAt: recipient.lastAttemptAt || null,
+      ...(recipient.bounce && { bounce: recipient.bounce }),
+      ...(recipient.complainedAt && { complainedAt: recipient.complainedAt })
+    };
+  }
+
+  // Copy the job's current state over; called whenever the worker updates it,
+  // and written to disk when the job is (`persist`)
+  sync(job, { persist = true } = {}) {
+    if (!this.entries.get(job.id)) {
+      return null;
+    }
+
+    return this.entries.update(job.id, {
+      status: overallStatus(job.status, job.recipients),
+      recipients: job.recipients.map(recipient => this.recipientFor(recipient)),
+      completedAt: job.completedAt || null
+    }, { persist });
+  }
+
+  // One message as it actually went out (or finally failed), after rendering.
+  // The worker saves it with the job's next write.
+  addMessage(jobId, message) {
+    const entry = this.entries.get(jobId);
+
+    if (!entry) {
+      return null;
+    }
+
+    entry.messages.push({ ...message, at: new Date().toISOString() });
+    return this.entries.update(jobId, { messages: entry.messages }, { persist: false });
+  }
+
+  get(id, tenantId) {
+    const entry = this.entries.get(id);
+    return entry && tenantService.owns(entry, tenantId) ? entry : null;
+  }
+
+  // Filters: recipient, from/to (ISO dates, on createdAt), status, emailType.
+  // With a recipient, status applies to that recipient; otherwise to the send as a whole.
+  list(tenantId, { recipient, from, to, status, emailType, page = 1, limit = 20 } = {}) {
+    const email = recipient && recipient.toLowerCase();
+    const fromTime = from ? Date.parse(from) : null;
+    const toTime = to ? Date.parse(to) : null;
+
+    const matches = this.entries.find(entry => {
+      if (!tenantService.owns(entry, tenantId)) {
+        return false;
+      }
+
+      const created = Date.parse(entry.createdAt);
+      if ((fromTime !== null && created < fromTime) || (toTime !== null && created > toTime)) {
+        return false;
+      }
+
+      if (emailType && entry.emailType !== emailType) {
+        return false;
+      }
+
+      if (email) {
+        const match = entry.recipients.find(candidate => candidate.email.toLowerCase() === email);
+        return !!match && (!status || match.status === status);
+      }
+
+      return !status || entry.status === status;
+    }).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    return {
+      items: matches.slice((page - 1) * limit, page * limit).map(entry => this.summarize(entry)),
+      pagination: {
+        page,
+        limit,
+        total: matches.length,
+        pages: Math.ceil(matches.length / limit)
+      }
+    };
+  }
+
+  // List view: everything but the rendered messages
+  summarize(entry) {
+    const count = status => entry.recipients.filter(recipient => recipient.status === status).length;
+    const { messages, request, generation, ...summary } = entry;
+
+    return {
+      ...summary,
+      totals: {
+        recipients: entry.recipients.length,
+        sent: count('sent'),
+        failed: count('failed'),
+        bounced: count('bounced'),
+        suppressed: count('suppressed'),
+        pending: count('pending')
+      }
+    };
+  }
+
+  // Drop entries older than the retention period, except sends still under way,
+  // then let the other stores do the same
+  purge(now = Date.now()) {
+    if (this.retentionDays <= 0) {
+      return 0;
+    }
+
+    const cutoff = now - this.retentionDays * DAY_MS;
+    const expired = this.entries.find(entry => Date.parse(entry.createdAt) < cutoff &&
+      !['pending', 'scheduled'].includes(entry.status));
+
+    expired.forEach(entry => this.entries.remove(entry.id, { persist: false }));
+    this.entries.flush();
+    if (expired.length > 0) {
+      console.log(`🧹 Removed ${expired.length} history entries older than ${this.retentionDays} days`);
+    }
+
+    this.purgers.forEach(purger => purger(cutoff));
+    return expired.length;
+  }
+
+  // Purge now and then once a day
+  startRetention() {
+    this.purge();
+    clearInterval(this.timer);
+    this.timer = setInterval(() => this.purge(), DAY_MS);
+    // Never keep the process alive just for the purge
+    this.timer.unref();
+  }
+}
+
+module.exports = new HistoryService();
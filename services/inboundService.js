@@ -0,0 +1,401 @@
+const fs = require('fs');
+const { SMTPServer } = require('smtp-server');
+const FileStore = require('./fileStore');
+const aiService = require('./aiService');
+const contentService = require('./contentService');
+const draftService = require('./draftService');
+const emailService = require('./emailService');
+const queueService = require('./queueService');
+const quotaService = require('./quotaService');
+const tenantService = require('./tenantService');
+const threadService = require('./threadService');
+const { parseMessage } = require('./mailParser');
+
+const INBOX_STATUS = {
+  // Stored, not triaged yet (or triage failed; see `error`)
+  RECEIVED: 'received',
+  // A draft reply waits for someone to approve it
+  PENDING: 'pending',
+  SENT: 'sent',
+  // The AI found nothing to answer
+  NO_REPLY: 'no-reply',
+  // Automatic, bulk or own mail; never triaged, never answered
+  IGNORED: 'ignored',
+  DISCARDED: 'discarded'
+};
+
+// off: store and triage only, approve: hold drafts for review, auto: send them
+const REPLY_MODES = ['off', 'approve', 'auto'];
+
+// Never answered automatically, whatever INBOUND_AUTO_INTENTS says
+const NEVER_AUTO = ['complaint', 'unsubscribe', 'spam', 'out-of-office'];
+
+const NO_REPLY_SENDER = /^(mailer-daemon|postmaster|no-?reply|do-?not-?reply|bounces?)([+.-][^@]*)?@/i;
+
+const envList = name => (process.env[name] || '').split(',').map(value => value.trim().toLowerCase()).filter(Boolean);
+
+// Why a message must not get a reply, or null. Answering automatic mail is how
+// two auto-responders end up mailing each other forever (RFC 3834).
+const automaticReason = (message, ownAddresses) => {
+  const { headers } = message;
+
+  if (!message.from) {
+    return 'No sender address';
+  }
+
+  if (ownAddresses.includes(message.from.address)) {
+    return 'Sent from one of our own addresses';
+  }
+
+  if (headers['auto-submitted'] && headers['auto-submitted'].toLowerCase() !== 'no') {
+    return `Auto-Submitted: ${headers['auto-submitted']}`;
+  }
+
+  if (headers['x-autoreply'] || headers['x-autorespond'] || /auto_reply/i.test(headers['x-auto-response-suppress'] || '')) {
+    return 'Automatic reply';
+  }
+
+  if (/^(bulk|list|junk)$/i.test(headers.precedence || '')) {
+    return `Precedence: ${headers.precedence}`;
+  }
+
+  if (headers['list-id'] || headers['list-unsubscribe']) {
+    return 'Mailing list message';
+  }
+
+  if (NO_REPLY_SENDER.test(message.from.address)) {
+    return 'Sent from a no-reply address';
+  }
+
+  return null;
+};
+
+// Receives mail through a local SMTP listener or a raw-MIME webhook, has the AI
+// classify each message and draft a reply, and sends the drafts automatically
+// or keeps them for review in the inbox
+class InboundService {
+  constructor() {
+    this.messages = new FileStore('inbox');
+    this.replyMode = REPLY_MODES.includes(process.env.INBOUND_REPLY_MODE) ? process.env.INBOUND_REPLY_MODE : 'approve';
+    this.tone = process.env.INBOUND_REPLY_TONE || 'professional';
+    // In auto mode, only drafts for these intents go out by themselves (empty: any)
+    this.autoIntents = envList('INBOUND_AUTO_INTENTS');
+    this.maxBytes = parseInt(process.env.INBOUND_MAX_BYTES) || 10 * 1024 * 1024;
+    this.server = null;
+
+    if (process.env.INBOUND_REPLY_MODE && !REPLY_MODES.includes(process.env.INBOUND_REPLY_MODE)) {
+      console.warn(`Unknown INBOUND_REPLY_MODE "${process.env.INBOUND_REPLY_MODE}". Expected one of: ${REPLY_MODES.join(', ')}`);
+    }
+
+    if (this.replyMode === 'auto' && draftService.approvalRequired) {
+      console.warn('INBOUND_REPLY_MODE is auto but DRAFT_APPROVAL_REQUIRED is on; inbound replies wait for approval in the inbox');
+    }
+  }
+
+  // Store a raw message and triage it in the background. `recipients` are the
+  // SMTP envelope recipients when known; they decide whose inbox it lands in.
+  // Returns the stored record, or the earlier one for a Message-ID seen before.
+  receive(raw, { source = 'webhook', recipients = [] } = {}) {
+    const message = parseMessage(raw);
+    const addressed = [...recipients.map(address => address.toLowerCase()), ...message.to.map(entry => entry.address), ...message.cc.map(entry => entry.address)];
+    const profile = addressed.map(address => emailService.profileForAddress(address)).find(Boolean) || null;
+    const tenant = tenantService.tenantForProfile(profile ? profile.name : emailService.defaultProfile);
+
+    const duplicate = message.messageId && this.messages.find(item =>
+      item.messageId === message.messageId && tenantService.owns(item, tenant.id))[0];
+
+    if (duplicate) {
+      return { ...duplicate, duplicate: true };
+    }
+
+    const ignoredReason = automaticReason(message, emailService.ownAddresses());
+    const item = this.messages.insert({
+      tenantId: tenant.id,
+      source,
+      status: ignoredReason ? INBOX_STATUS.IGNORED : INBOX_STATUS.RECEIVED,
+      ignoredReason,
+      // The profile the message was sent to answers it
+      senderProfile: profile ? profile.name : null,
+      envelopeRecipients: recipients,
+      messageId: message.messageId,
+      inReplyTo: message.inReplyTo,
+      references: message.references,
+      from: message.from,
+      to: message.to,
+      cc: message.cc,
+      replyTo: message.replyTo,
+      subject: message.subject,
+      date: message.date,
+      text: message.text,
+      html: message.html,
+      receivedAt: new Date().toISOString(),
+      intent: null,
+      summary: null,
+      draft: null,
+      jobId: null,
+      error: null
+    });
+
+    console.log(`📨 Received ${source} message ${item.id} from ${item.from ? item.from.address : 'unknown sender'}${ignoredReason ? ` (ignored: ${ignoredReason})` : ''}`);
+
+    if (!ignoredReason && this.replyMode !== 'off') {
+      this.triage(item.id).catch(error => console.error(`Inbound triage of ${item.id} failed:`, error));
+    }
+
+    return item;
+  }
+
+  // Earlier inbox messages this one refers to, oldest first, followed by itself
+  threadFor(item) {
+    const earlier = this.messages.find(candidate =>
+      candidate.id !== item.id &&
+      candidate.messageId &&
+      item.references.includes(candidate.messageId) &&
+      tenantService.owns(candidate, item.tenantId));
+
+    return threadService.normalize({
+      messages: [...earlier.sort((a, b) => a.receivedAt.localeCompare(b.receivedAt)), item].map(message => ({
+        from: message.from ? [message.from.name ? `"${message.from.name}" <${message.from.address}>` : message.from.address] : [],
+        to: message.to.map(entry => entry.address),
+        cc: message.cc.map(entry => entry.address),
+        replyTo: message.replyTo.map(entry => entry.address),
+        subject: message.subject,
+        date: message.date,
+        body: message.text,
+        messageId: message.messageId,
+        inReplyTo: message.inReplyTo,
+        references: message.references
+      }))
+    });
+  }
+
+  // Classify the message and draft a reply. Errors are kept on the record (it
+  // stays "received") so the triage can be retried from the inbox. Whoever asked
+  // for it (`requestedBy`, with instructions) counts as an editor of the draft.
+  async triage(id, { instructions, tone = this.tone, provider, model, requestedBy = null } = {}) {
+    const item = this.messages.get(id);
+    const tenant = tenantService.get(item.tenantId);
+
+    try {
+      quotaService.checkAiBudget(tenant);
+
+      const thread = this.threadFor(item);
+      const own = emailService.ownAddresses();
+      const senderAddress = item.senderProfile ? emailService.getProfile(item.senderProfile).from : undefined;
+      const result = await aiService.triageEmail(threadService.transcript(thread), {
+        tone,
+        instructions,
+        senderAddress,
+        provider,
+        model,
+        onUsage: usage => quotaService.recordAiUsage(tenant, usage)
+      });
+
+      if (!result.needsReply) {
+        return this.messages.update(id, {
+          status: INBOX_STATUS.NO_REPLY,
+          intent: result.intent,
+          summary: result.summary,
+          draft: null,
+          error: null
+        });
+      }
+
+      const parent = thread[thread.length - 1];
+      const { recipients } = threadService.recipientsFor(thread, own);
+      const threading = threadService.threadingFor(parent);
+      // The thread's subject, not the AI's, so it stays in the conversation
+      const subject = threadService.replySubject(parent.subject || result.reply.subject);
+      const updated = this.messages.update(id, {
+        status: INBOX_STATUS.PENDING,
+        intent: result.intent,
+        summary: result.summary,
+        draft: {
+          subject,
+          body: result.reply.body,
+          recipients,
+          cc: [],
+          inReplyTo: threading.inReplyTo,
+          references: threading.references,
+          tone,
+          contentCheck: this.checkContent(tenant, { subject, body: result.reply.body }),
+          // Who changed or steered the AI's text; none of them may approve it
+          editors: requestedBy ? [requestedBy] : [],
+          generatedAt: new Date().toISOString()
+        },
+        error: null
+      });
+
+      return this.isAutoSendable(updated) ? this.sendReply(id) : updated;
+    } catch (error) {
+      console.error(`⚠️  Could not triage inbound message ${id}:`, error.message);
+      return this.messages.update(id, { error: error.message });
+    }
+  }
+
+  // Only a reply the content check passes outright goes out unreviewed, and
+  // none does while DRAFT_APPROVAL_REQUIRED asks for a human to approve AI mail
+  isAutoSendable(item) {
+    return this.replyMode === 'auto' &&
+      !draftService.approvalRequired &&
+      item.draft.recipients.length > 0 &&
+      item.draft.contentCheck.verdict === 'pass' &&
+      !NEVER_AUTO.includes(item.intent) &&
+      (this.autoIntents.length === 0 || this.autoIntents.includes(item.intent));
+  }
+
+  // Queue the draft as a threaded reply. Counts against the tenant's send quota
+  // like any other send; throws its QuotaExceededError when there's no room.
+  sendReply(id, { approvedBy = null } = {}) {
+    const item = this.messages.get(id);
+    const tenant = tenantService.get(item.tenantId);
+    const { draft } = item;
+
+    const job = queueService.enqueue({
+      recipients: draft.recipients,
+      cc: draft.cc,
+      subject: draft.subject,
+      body: draft.body,
+      senderProfile: item.senderProfile,
+      inReplyTo: draft.inReplyTo,
+      references: draft.references,
+      tenantId: item.tenantId,
+      generation: { prompt: null, tone: draft.tone, emailType: 'general', kind: 'reply', inboundMessageId: item.id }
+    }, { tenant });
+
+    return this.messages.update(id, {
+      status: INBOX_STATUS.SENT,
+      jobId: job.id,
+      approvedBy: approvedBy || (this.replyMode === 'auto' ? 'auto' : null),
+      sentAt: new Date().toISOString()
+    });
+  }
+
+  get(id, tenantId) {
+    const item = this.messages.get(id);
+    return item && tenantService.owns(item, tenantId) ? item : null;
+  }
+
+  // Newest first, without the bodies
+  list(tenantId, { status, intent, page = 1, limit = 20 } = {}) {
+    const matches = this.messages
+      .find(item => tenantService.owns(item, tenantId) &&
+        (!status || item.status === status) &&
+        (!intent || item.intent === intent))
+      .sort((a, b) => b.receivedAt.localeCompare(a.receivedAt));
+
+    return {
+      items: matches.slice((page - 1) * limit, page * limit).map(item => this.summarize(item)),
+      pagination: {
+        page,
+        limit,
+        total: matches.length,
+        pages: Math.ceil(matches.length / limit)
+      }
+    };
+  }
+
+  summarize(item) {
+    const { text, html, draft, ...summary } = item;
+    return { ...summary, hasDraft: !!draft };
+  }
+
+  checkContent(tenant, { subject, body }) {
+    return contentService.analyze({ subject, body }, contentService.policyFor(tenant));
+  }
+
+  updateDraft(id, changes, { editor = null } = {}) {
+    const item = this.messages.get(id);
+    const editors = item.draft.editors || [];
+    const draft = { ...item.draft, ...changes, editors: editor && !editors.includes(editor) ? [...editors, editor] : editors };
+    draft.contentCheck = this.checkContent(tenantService.get(item.tenantId), draft);
+    return this.messages.update(id, { draft: { ...draft, editedAt: new Date().toISOString() } });
+  }
+
+  discard(id) {
+    return this.messages.update(id, { status: INBOX_STATUS.DISCARDED });
+  }
+
+  remove(id) {
+    return this.messages.remove(id);
+  }
+
+  // Domains the SMTP listener accepts mail for: our sender domains plus INBOUND_DOMAINS
+  acceptedDomains() {
+    return new Set([
+      ...emailService.ownAddresses().map(address => address.split('@').pop()),
+      ...envList('INBOUND_DOMAINS')
+    ]);
+  }
+
+  // Listen for mail on INBOUND_SMTP_PORT. Only accepts recipients on our own
+  // domains, so it can't be used as a relay. STARTTLS is offered when
+  // INBOUND_SMTP_TLS_KEY and INBOUND_SMTP_TLS_CERT point at PEM files.
+  startSmtp(port = parseInt(process.env.INBOUND_SMTP_PORT), host = process.env.INBOUND_SMTP_HOST || '0.0.0.0') {
+    if (!port) {
+      return Promise.resolve(null);
+    }
+
+    const tls = process.env.INBOUND_SMTP_TLS_KEY && process.env.INBOUND_SMTP_TLS_CERT
+      ? { key: fs.readFileSync(process.env.INBOUND_SMTP_TLS_KEY), cert: fs.readFileSync(process.env.INBOUND_SMTP_TLS_CERT) }
+      : null;
+
+    this.server = new SMTPServer({
+      name: process.env.INBOUND_SMTP_NAME || undefined,
+      banner: 'Email Sender inbound',
+      size: this.maxBytes,
+      // Other servers deliver to us without logging in
+      authOptional: true,
+      disabledCommands: tls ? ['AUTH'] : ['AUTH', 'STARTTLS'],
+      ...tls,
+      logger: false,
+      onRcptTo: (address, session, callback) => {
+        const domain = address.address.split('@').pop().toLowerCase();
+
+        if (!this.acceptedDomains().has(domain)) {
+          return callback(Object.assign(new Error(`Relay access denied for ${address.address}`), { responseCode: 550 }));
+        }
+
+        callback();
+      },
+      onData: (stream, session, callback) => {
+        const chunks = [];
+
+        stream.on('data', chunk => chunks.push(chunk));
+        stream.on('end', () => {
+          if (stream.sizeExceeded) {
+            return callback(Object.assign(new Error('Message exceeds the maximum size'), { responseCode: 552 }));
+          }
+
+          try {
+            const item = this.receive(Buffer.concat(chunks).toString('utf8'), {
+              source: 'smtp',
+              recipients: session.envelope.rcptTo.map(recipient => recipient.address)
+            });
+            callback(null, `Message accepted as ${item.id}`);
+          } catch (error) {
+            console.error('Failed to store inbound message:', error);
+            callback(Object.assign(new Error('Could not store the message, try again later'), { responseCode: 451 }));
+          }
+        });
+      }
+    });
+
+    this.server.on('error', error => console.error('Inbound SMTP error:', error.message));
+
+    return new Promise(resolve => {
+      this.server.listen(port, host, () => {
+        console.log(`📮 Receiving mail over SMTP on ${host}:${this.server.server.address().port}${tls ? ' (STARTTLS)' : ''}`);
+        resolve(this.server);
+      });
+    });
+  }
+
+  stopSmtp() {
+    return new Promise(resolve => (this.server ? this.server.close(resolve) : resolve()));
+  }
+}
+
+module.exports = new InboundService();
+module.exports.INBOX_STATUS = INBOX_STATUS;
+module.exports.REPLY_MODES = REPLY_MODES;
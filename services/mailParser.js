@@ -0,0 +1,187 @@
+// Minimal RFC 5322 / MIME reader shared by bounce, thread and inbound processing.
+// Reads headers, addresses and the text and HTML bodies; attachments are skipped.
+const renderService = require('./renderService');
+
+// Unfold continuation lines and read "Name: value" fields into a lowercased map.
+// Repeated fields keep their first value.
+const parseFields = text => {
+  const fields = {};
+
+  text.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/).forEach(line => {
+    const match = /^([^:\s]+)\s*:\s*(.*)$/.exec(line);
+    if (match && !(match[1].toLowerCase() in fields)) {
+      fields[match[1].toLowerCase()] = match[2].trim();
+    }
+  });
+
+  return fields;
+};
+
+const splitEntity = raw => {
+  const match = /\r?\n\r?\n/.exec(raw);
+
+  if (!match) {
+    return { headers: parseFields(raw), body: '' };
+  }
+
+  return {
+    headers: parseFields(raw.slice(0, match.index)),
+    body: raw.slice(match.index + match[0].length)
+  };
+};
+
+// Bytes in the given charset to a string; unknown charsets are read as UTF-8
+const decodeCharset = (bytes, charset = 'utf-8') => {
+  try {
+    return new TextDecoder(charset.toLowerCase()).decode(bytes);
+  } catch (error) {
+    return new TextDecoder('utf-8').decode(bytes);
+  }
+};
+
+const quotedPrintableBytes = text => {
+  const bytes = [];
+  const source = text.replace(/=\r?\n/g, '');
+
+  for (let i = 0; i < source.length; i++) {
+    const hex = source[i] === '=' && /^[0-9A-F]{2}$/i.test(source.slice(i + 1, i + 3)) ? source.slice(i + 1, i + 3) : null;
+
+    if (hex) {
+      bytes.push(parseInt(hex, 16));
+      i += 2;
+    } else {
+      bytes.push(...Buffer.from(source[i], 'latin1'));
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+const charsetOf = headers => {
+  const match = /charset\s*=\s*"?([^";\s]+)"?/i.exec(headers['content-type'] || '');
+  return match ? match[1] : 'utf-8';
+};
+
+// The body of an entity with its transfer encoding and charset undone
+const decodeBody = ({ headers, body }) => {
+  const encoding = (headers['content-transfer-encoding'] || '').toLowerCase();
+
+  if (encoding === 'base64') {
+    return decodeCharset(Buffer.from(body.replace(/\s+/g, ''), 'base64'), charsetOf(headers));
+  }
+
+  if (encoding === 'quoted-printable') {
+    return decodeCharset(quotedPrintableBytes(body), charsetOf(headers));
+  }
+
+  return body;
+};
+
+// Flatten a MIME entity into its leaf parts, descending into nested multiparts
+const leafParts = entity => {
+  const contentType = entity.headers['content-type'] || 'text/plain';
+  const boundary = /boundary\s*=\s*"?([^";]+)"?/i.exec(contentType);
+
+  if (!/^multipart\//i.test(contentType) || !boundary) {
+    return [entity];
+  }
+
+  return entity.body
+    .split(`--${boundary[1]}`)
+    .slice(1)
+    .filter(part => !part.startsWith('--'))
+    .map(part => splitEntity(part.replace(/^[ \t]*\r?\n/, '')))
+    .flatMap(leafParts);
+};
+
+// RFC 2047 encoded words ("=?UTF-8?B?...?=") in header values
+const decodeWords = value => String(value || '')
+  // Whitespace between two encoded words is not part of the text
+  .replace(/(=\?[^?]+\?[BQ]\?[^?]*\?=)\s+(?==\?)/gi, '$1')
+  .replace(/=\?([^?*]+)(?:\*[^?]*)?\?([BQ])\?([^?]*)\?=/gi, (word, charset, encoding, text) => {
+    const bytes = encoding.toUpperCase() === 'B'
+      ? Buffer.from(text, 'base64')
+      : quotedPrintableBytes(text.replace(/_/g, ' '));
+    return decodeCharset(bytes, charset);
+  });
+
+// "Ann <ann@example.com>, "Doe, John" <john@example.com>" -> [{ name, address }]
+const parseAddressList = value => {
+  const entries = [];
+  let current = '';
+  let quoted = false;
+  let depth = 0;
+
+  for (const char of decodeWords(value)) {
+    if (char === '"') {
+      quoted = !quoted;
+    } else if (!quoted && char === '<') {
+      depth += 1;
+    } else if (!quoted && char === '>') {
+      depth -= 1;
+    }
+
+    if (char === ',' && !quoted && depth === 0) {
+      entries.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  entries.push(current);
+
+  return entries
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const angle = /^(.*)<([^>]+)>\s*$/.exec(entry);
+      const name = angle ? angle[1].trim().replace(/^"|"$/g, '').trim() : '';
+      return { name: name || null, address: (angle ? angle[2] : entry).trim().toLowerCase() };
+    })
+    .filter(({ address }) => address.includes('@'));
+};
+
+// "<a@x> <b@x>" -> ['<a@x>', '<b@x>']
+const parseMessageIds = value => String(value || '').match(/<[^<>\s]+>/g) || [];
+
+const typeOf = part => (part.headers['content-type'] || 'text/plain').split(';')[0].trim().toLowerCase();
+
+const isAttachment = part => /^attachment/i.test(part.headers['content-disposition'] || '');
+
+// Parse one raw message into the fields the app works with. `text` falls back
+// to a conversion of the HTML part when the message has no plain-text part.
+const parseMessage = raw => {
+  const message = splitEntity(String(raw).replace(/^﻿/, ''));
+  const parts = leafParts(message).filter(part => !isAttachment(part));
+  const textPart = parts.find(part => typeOf(part) === 'text/plain');
+  const htmlPart = parts.find(part => typeOf(part) === 'text/html');
+  const html = htmlPart ? decodeBody(htmlPart) : null;
+  const { headers } = message;
+  const date = headers.date ? new Date(headers.date) : null;
+
+  return {
+    headers,
+    messageId: parseMessageIds(headers['message-id'])[0] || null,
+    inReplyTo: parseMessageIds(headers['in-reply-to'])[0] || null,
+    references: parseMessageIds(headers.references),
+    from: parseAddressList(headers.from)[0] || null,
+    to: parseAddressList(headers.to),
+    cc: parseAddressList(headers.cc),
+    replyTo: parseAddressList(headers['reply-to']),
+    subject: decodeWords(headers.subject).trim(),
+    date: date && !Number.isNaN(date.getTime()) ? date.toISOString() : null,
+    text: textPart ? decodeBody(textPart) : (html ? renderService.toText(html) : ''),
+    html
+  };
+};
+
+module.exports = {
+  parseFields,
+  splitEntity,
+  decodeBody,
+  leafParts,
+  decodeWords,
+  parseAddressList,
+  parseMessageIds,
+  parseMessage
+};
@@ -0,0 +1,786 @@
+const crypto = require('crypto');
+const FileStore = require('./fileStore');
+const emailService = require('./emailService');
+const templateService = require('./templateService');
+const suppressionService = require('./suppressionService');
+const tenantService = require('./tenantService');
+const historyService = require('./historyService');
+const attachmentService = require('./attachmentService');
+const trackingService = require('./trackingService');
+const quotaService = require('./quotaService');
+
+const JOB_STATUS = {
+  SCHEDULED: 'scheduled',
+  QUEUED: 'queued',
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+const RECIPIENT_STATUS = {
+  PENDING: 'pending',
+  SENT: 'sent',
+  FAILED: 'failed',
+  SUPPRESSED: 'suppressed',
+  // Accepted by our SMTP server, then returned as undeliverable
+  BOUNCED: 'bounced'
+};
+
+// A send request that can't become a job: 400 for bad input, 503 when sending
+// isn't configured. `details` lists every problem found.
+class JobError extends Error {
+  constructor(message, { statusCode = 400, details = null } = {}) {
+    super(message);
+    this.name = 'JobError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+// Message-IDs are compared without angle brackets and case-insensitively
+const normalizeMessageId = messageId => String(messageId).trim().replace(/^<|>$/g, '').toLowerCase();
+
+// Offset in ms between UTC and the wall clock of timeZone at the given instant
+const getTimeZoneOffset = (timestamp, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(timestamp));
+  const get = type => parseInt(parts.find(part => part.type === type).value);
+  const wallClock = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+
+  return wallClock - Math.floor(timestamp / 1000) * 1000;
+};
+
+// Turn sendAt into an absolute Date. Timestamps with an explicit offset ("Z",
+// "+02:00") are used as-is; local times are read as wall-clock time in timeZone.
+const resolveSendAt = (sendAt, timeZone = 'UTC') => {
+  if (/T.*(Z|[+-]\d{2}(:?\d{2})?)$/i.test(sendAt)) {
+    return new Date(sendAt);
+  }
+
+  const localTime = sendAt.includes('T') ? sendAt : `${sendAt}T00:00:00`;
+  const asUtc = Date.parse(`${localTime}Z`);
+  // Apply the offset twice so times next to a DST switch land on the right side
+  let timestamp = asUtc - getTimeZoneOffset(asUtc, timeZone);
+  timestamp = asUtc - getTimeZoneOffset(timestamp, timeZone);
+
+  return new Date(timestamp);
+};
+
+const isValidTimeZone = timeZone => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Deal recipients out to A/B variants. The list is shuffled first, then cut into
+// runs sized by each variant's weight (equal weights for a random split), with
+// rounding leftovers going to the variants closest to their next recipient.
+const assignVariants = (emails, variants, split) => {
+  const shuffled = [...emails];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+
+  const weights = variants.map(variant => (split === 'percentage' ? variant.weight || 0 : 1));
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  const exact = weights.map(weight => (shuffled.length * weight) / totalWeight);
+  const counts = exact.map(Math.floor);
+
+  let leftover = shuffled.length - counts.reduce((sum, count) => sum + count, 0);
+  exact
+    .map((value, index) => ({ index, remainder: value - counts[index] }))
+    .sort((a, b) => b.remainder - a.remainder)
+    .forEach(({ index }) => {
+      if (leftover > 0) {
+        counts[index] += 1;
+        leftover -= 1;
+      }
+    });
+
+  const assignment = new Map();
+  let offset = 0;
+  variants.forEach((variant, index) => {
+    shuffled.slice(offset, offset + counts[index]).forEach(email => assignment.set(email, variant.id));
+    offset += counts[index];
+  });
+
+  return assignment;
+};
+
+class QueueService {
+  constructor() {
+    this.jobs = new FileStore('jobs');
+    this.maxAttempts = parseInt(process.env.QUEUE_MAX_ATTEMPTS) || 5;
+    this.backoffMs = parseInt(process.env.QUEUE_BACKOFF_MS) || 30 * 1000;
+    this.pollIntervalMs = parseInt(process.env.QUEUE_POLL_INTERVAL_MS) || 2000;
+    // How often a running job's progress is written to disk
+    this.persistIntervalMs = parseInt(process.env.QUEUE_PERSIST_INTERVAL_MS) || 1000;
+    this.timer = null;
+    this.running = false;
+    historyService.onPurge(cutoff => this.purge(cutoff));
+  }
+
+  // The job record for a send request, checked but not yet stored. enqueue stores
+  // it, preview renders it.
+  buildJob({
+    recipients,
+    cc = [],
+    bcc = [],
+    replyTo = [],
+    mode = 'individual',
+    emailType = 'general',
+    subject,
+    body,
+    bodyFormat = 'text',
+    layout = true,
+    senderName,
+    senderProfile = null,
+    templateId = null,
+    variables = null,
+    variants = null,
+    split = 'random',
+    sendAt = null,
+    timezone = null,
+    attachments = [],
+    tracking = null,
+    inReplyTo = null,
+    references = [],
+    baseUrl = null,
+    tenantId
+  }) {
+    const addresses = emailService.validateAddressFields({ recipients, cc, bcc, replyTo });
+    const { errors } = addresses;
+    const validEmails = addresses.recipients;
+
+    if (errors.length > 0) {
+      throw new JobError('Email validation failed', { details: errors });
+    }
+
+    if (validEmails.length === 0) {
+      throw new JobError('No valid recipients found');
+    }
+
+    // Recipients come back normalized, so look their variables up the same way
+    const variablesFor = variables && new Map(Object.entries(variables)
+      .map(([address, values]) => [emailService.normalizeAddress(address), values]));
+    const scheduledFor = sendAt ? resolveSendAt(sendAt, timezone || undefined) : null;
+    const variantFor = variants ? assignVariants(validEmails, variants, split) : null;
+    const isTracked = !!(tracking && (tracking.opens || tracking.clicks));
+
+    return {
+      tenantId,
+      status: scheduledFor ? JOB_STATUS.SCHEDULED : JOB_STATUS.QUEUED,
+      scheduledFor: scheduledFor ? scheduledFor.toISOString() : null,
+      timezone,
+      mode,
+      emailType,
+      // Public URL of this API, for tracking and unsubscribe links
+      baseUrl,
+      message: {
+        cc: addresses.cc,
+        bcc: addresses.bcc,
+        replyTo: addresses.replyTo,
+        subject,
+        body,
+        bodyFormat,
+        layout,
+        senderName,
+        senderProfile,
+        attachments,
+        inReplyTo,
+        references
+      },
+      templateId,
+      variants: variants ? variants.map(({ id, subject: variantSubject, body: variantBody, weight }) => ({
+        id,
+        subject: variantSubject,
+        body: variantBody,
+        weight: weight ?? null
+      })) : null,
+      split: variants ? split : null,
+      tracking: isTracked ? tracking : null,
+      // A group send is one message, so it is tracked as one
+      trackingId: isTracked && mode === 'group' ? crypto.randomUUID() : null,
+      recipients: validEmails.map(email => ({
+        email,
+        trackingId: isTracked && mode !== 'group' ? crypto.randomUUID() : null,
+        variant: variantFor ? variantFor.get(email) : null,
+        variables: variablesFor ? variablesFor.get(email) || {} : null,
+        status: RECIPIENT_STATUS.PENDING,
+        attempts: 0,
+        lastAttemptAt: null,
+        nextAttemptAt: null,
+        messageId: null,
+        error: null,
+        ...this.suppressionFor(email, emailType)
+      })),
+      completedAt: null
+    };
+  }
+
+  // With a `tenant`, its recipient quota is reserved once the job is known to be
+  // valid, so a refused request never uses any of it. Only sending needs SMTP:
+  // previews and content checks build jobs without it.
+  enqueue({ generation = null, ...options }, { tenant = null } = {}) {
+    if (!emailService.transporter) {
+      throw new JobError('Email service is not configured. Please check your environment variables.', { statusCode: 503 });
+    }
+
+    const id = crypto.randomUUID();
+    const built = this.buildJob(options);
+
+    if (tenant) {
+      quotaService.reserveRecipients(tenant, this.addressCount(built), id);
+    }
+
+    const job = this.jobs.insert({
+      id,
+      ...built,
+      message: { ...built.message, attachments: attachmentService.store(id, built.message.attachments) }
+    });
+    const { attachments = [], baseUrl, tenantId, ...request } = options;
+
+    historyService.create(job, {
+      request: {
+        ...request,
+        // File contents would bloat the history; the names are enough to tell what was sent
+        attachments: attachments.map(({ filename, contentType, cid }) => ({ filename, contentType, cid: cid || null }))
+      },
+      generation
+    });
+
+    if (job.scheduledFor) {
+      console.log(`🗓️  Scheduled job ${job.id} for ${job.recipients.length} recipients at ${job.scheduledFor}`);
+    } else {
+      console.log(`📥 Queued job ${job.id} for ${job.recipients.length} recipients`);
+      this.schedule(0);
+    }
+    return job;
+  }
+
+  // Addresses the job will mail: each individual message also goes to cc/bcc.
+  // Suppressed recipients are never mailed, so they don't count.
+  addressCount(job) {
+    const sendable = job.recipients.filter(recipient => recipient.status === RECIPIENT_STATUS.PENDING).length;
+    const copies = job.message.cc.length + job.message.bcc.length;
+
+    if (job.mode === 'group') {
+      return sendable > 0 ? sendable + copies : 0;
+    }
+    return sendable * (1 + copies);
+  }
+
+  // Recipients on the suppression list are kept on the job but never sent to
+  suppressionFor(email, emailType) {
+    if (!suppressionService.isSuppressed(email, emailType)) {
+      return {};
+    }
+
+    return { status: RECIPIENT_STATUS.SUPPRESSED, error: `Suppressed: ${suppressionService.get(email).reason}` };
+  }
+
+  // Every change to a job is mirrored into its history entry. With `persist: false`
+  // both stay in memory until the next write.
+  updateJob(id, changes, { persist = true } = {}) {
+    const job = this.jobs.update(id, changes, { persist });
+    historyService.sync(job, { persist });
+    return job;
+  }
+
+  // Another tenant's job is reported the same as a missing one
+  getJob(id, tenantId) {
+    const job = this.jobs.get(id);
+    return job && tenantService.owns(job, tenantId) ? job : null;
+  }
+
+  listScheduled(tenantId) {
+    return this.jobs
+      .find(job => job.status === JOB_STATUS.SCHEDULED && tenantService.owns(job, tenantId))
+      .sort((a, b) => a.scheduledFor.localeCompare(b.scheduledFor));
+  }
+
+  // History retention for the worker's own records: finished jobs created before
+  // cutoff go with their attachment files, and so does tracking data of that age
+  purge(cutoff) {
+    const finished = [JOB_STATUS.COMPLETED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED];
+    const expired = this.jobs.find(job => Date.parse(job.createdAt) < cutoff && finished.includes(job.status));
+
+    expired.forEach(job => {
+      this.jobs.remove(job.id, { persist: false });
+      attachmentService.remove(job.id);
+    });
+    this.jobs.flush();
+
+    const tracked = trackingService.purge(cutoff);
+    if (expired.length > 0 || tracked > 0) {
+      console.log(`🧹 Removed ${expired.length} jobs and ${tracked} tracking records past the history retention`);
+    }
+  }
+
+  // Only jobs that haven't started sending can be cancelled
+  // A cancelled send never mails anyone, so its recipients no longer count
+  // against the tenant's quota
+  cancelScheduled(id, tenantId) {
+    const job = this.getJob(id, tenantId);
+
+    if (!job || job.status !== JOB_STATUS.SCHEDULED) {
+      return null;
+    }
+
+    const cancelled = this.updateJob(id, {
+      status: JOB_STATUS.CANCELLED,
+      cancelledAt: new Date().toISOString()
+    });
+
+    if (job.tenantId) {
+      quotaService.releaseRecipients(job.tenantId, id);
+    }
+
+    return cancelled;
+  }
+
+  // Move scheduled jobs whose time has come onto the queue
+  releaseDueJobs(now = Date.now()) {
+    this.jobs
+      .find(job => job.status === JOB_STATUS.SCHEDULED && Date.parse(job.scheduledFor) <= now)
+      .forEach(job => {
+        console.log(`⏰ Releasing scheduled job ${job.id}`);
+        this.updateJob(job.id, { status: JOB_STATUS.QUEUED });
+      });
+  }
+
+  summarize(job) {
+    const count = status => job.recipients.filter(r => r.status === status).length;
+
+    return {
+      id: job.id,
+      status: job.status,
+      mode: job.mode || 'individual',
+      scheduledFor: job.scheduledFor || null,
+      timezone: job.timezone || null,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      completedAt: job.completedAt,
+      progress: {
+        total: job.recipients.length,
+        pending: count(RECIPIENT_STATUS.PENDING),
+        sent: count(RECIPIENT_STATUS.SENT),
+        failed: count(RECIPIENT_STATUS.FAILED),
+        suppressed: count(RECIPIENT_STATUS.SUPPRESSED),
+        bounced: count(RECIPIENT_STATUS.BOUNCED)
+      },
+      ...(job.variants && { variants: this.summarizeVariants(job) }),
+      recipients: job.recipients
+    };
+  }
+
+  // Per-variant delivery counts, for comparing A/B variants
+  summarizeVariants(job) {
+    return job.variants.map(variant => {
+      const recipients = job.recipients.filter(recipient => recipient.variant === variant.id);
+      const count = status => recipients.filter(r => r.status === status).length;
+
+      return {
+        id: variant.id,
+        subject: variant.subject,
+        weight: variant.weight,
+        total: recipients.length,
+        pending: count(RECIPIENT_STATUS.PENDING),
+        sent: count(RECIPIENT_STATUS.SENT),
+        failed: count(RECIPIENT_STATUS.FAILED),
+        suppressed: count(RECIPIENT_STATUS.SUPPRESSED),
+        bounced: count(RECIPIENT_STATUS.BOUNCED)
+      };
+    });
+  }
+
+  // Attach a bounce or complaint event to the recipient it was sent to, matched by
+  // Message-ID. Returns { jobId, email } or null when no sent message matches.
+  recordDeliveryEvent(event) {
+    const messageId = normalizeMessageId(event.messageId);
+    const email = event.email.toLowerCase();
+    const sentWith = recipient => recipient.messageId && normalizeMessageId(recipient.messageId) === messageId;
+
+    const job = this.jobs.find(candidate => candidate.recipients.some(sentWith))[0];
+    if (!job) {
+      return null;
+    }
+
+    // Group sends share one Message-ID, so the address decides; a forwarded
+    // individual message may bounce from an address we never sent to
+    const candidates = job.recipients.filter(sentWith);
+    const recipient = candidates.find(candidate => candidate.email.toLowerCase() === email) ||
+      (candidates.length === 1 ? candidates[0] : null);
+
+    if (!recipient) {
+      return null;
+    }
+
+    const at = new Date().toISOString();
+    const recipients = job.recipients.map(candidate => {
+      if (candidate !== recipient) {
+        return candidate;
+      }
+
+      if (event.type === 'complaint') {
+        return { ...candidate, complainedAt: at };
+      }
+
+      return {
+        ...candidate,
+        status: event.bounceType === 'hard' ? RECIPIENT_STATUS.BOUNCED : candidate.status,
+        bounce: { bounceType: event.bounceType, status: event.status, diagnostic: event.diagnostic, at }
+      };
+    });
+
+    this.updateJob(job.id, { recipients });
+    return { jobId: job.id, email: recipient.email };
+  }
+
+  start() {
+    // A job left in "processing" means the process died mid-send. Recipients
+    // already marked sent are kept, everything else is picked up again.
+    this.jobs
+      .find(job => job.status === JOB_STATUS.PROCESSING)
+      .forEach(job => this.updateJob(job.id, { status: JOB_STATUS.QUEUED }));
+
+    this.schedule(0);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  schedule(delay = this.pollIntervalMs) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.tick(), delay);
+    // Never keep the process alive just for the worker
+    this.timer.unref();
+  }
+
+  async tick() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    try {
+      const now = Date.now();
+      this.releaseDueJobs(now);
+
+      const job = this.jobs
+        .find(j => j.status === JOB_STATUS.QUEUED)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+        // A job with nobody left to send to (e.g. everyone suppressed) still needs finishing
+        .find(j => j.recipients.some(r => this.isDue(r, now)) ||
+          !j.recipients.some(r => r.status === RECIPIENT_STATUS.PENDING));
+
+      if (job) {
+        await this.processJob(job.id);
+      }
+    } catch (error) {
+      console.error('Queue worker error:', error);
+    } finally {
+      this.running = false;
+      this.schedule();
+    }
+  }
+
+  isDue(recipient, now) {
+    return recipient.status === RECIPIENT_STATUS.PENDING &&
+      (!recipient.nextAttemptAt || Date.parse(recipient.nextAttemptAt) <= now);
+  }
+
+  // Write this run's copies of `changed` recipients back onto the job as it is
+  // stored now. Bounces and complaints are recorded on the stored job while a
+  // batch is sending, so recipients this run didn't change are left alone.
+  saveRecipients(id, changed, indexOf, { persist = true } = {}) {
+    const recipients = [...this.jobs.get(id).recipients];
+    changed.forEach(recipient => {
+      recipients[indexOf.get(recipient)] = { ...recipient };
+    });
+
+    return this.updateJob(id, { recipients }, { persist });
+  }
+
+  async processJob(id) {
+    this.updateJob(id, { status: JOB_STATUS.PROCESSING });
+
+    const job = this.jobs.get(id);
+    // Copies of the due recipients, mapped to their place in job.recipients
+    const indexOf = new Map();
+    job.recipients.forEach((recipient, index) => {
+      if (this.isDue(recipient, Date.now())) {
+        indexOf.set({ ...recipient }, index);
+      }
+    });
+
+    // Addresses can unsubscribe or bounce between queueing and sending
+    const suppressed = [...indexOf.keys()].filter(recipient => {
+      Object.assign(recipient, this.suppressionFor(recipient.email, job.emailType));
+      return recipient.status === RECIPIENT_STATUS.SUPPRESSED;
+    });
+    if (suppressed.length > 0) {
+      this.saveRecipients(id, suppressed, indexOf, { persist: false });
+    }
+
+    const due = [...indexOf.keys()].filter(recipient => this.isDue(recipient, Date.now()));
+    // Group mode sends one message to every due recipient, otherwise one message each
+    const batches = job.mode === 'group' ? [due] : due.map(recipient => [recipient]);
+
+    // Progress is written every persistIntervalMs rather than after every message:
+    // rewriting the stores per message makes large jobs quadratic. A crash can
+    // resend at most the messages of the last interval.
+    let savedAt = Date.now();
+    for (const batch of batches.filter(candidate => candidate.length > 0)) {
+      await this.sendBatch(job, batch);
+
+      const persist = Date.now() - savedAt >= this.persistIntervalMs;
+      this.saveRecipients(id, batch, indexOf, { persist });
+      if (persist) {
+        savedAt = Date.now();
+      }
+    }
+
+    const { recipients } = this.jobs.get(id);
+    const pending = recipients.some(r => r.status === RECIPIENT_STATUS.PENDING);
+    // Suppressed recipients alone don't make a job fail; bounced ones were sent
+    const allFailed = recipients.some(r => r.status === RECIPIENT_STATUS.FAILED) &&
+      !recipients.some(r => r.status === RECIPIENT_STATUS.SENT || r.status === RECIPIENT_STATUS.BOUNCED);
+
+    if (pending) {
+      this.updateJob(id, { status: JOB_STATUS.QUEUED });
+      return;
+    }
+
+    this.updateJob(id, {
+      status: allFailed ? JOB_STATUS.FAILED : JOB_STATUS.COMPLETED,
+      completedAt: new Date().toISOString()
+    });
+    console.log(`✅ Job ${id} finished`);
+  }
+
+  messageFor(job, recipient) {
+    const variant = recipient.variant && job.variants
+      ? job.variants.find(candidate => candidate.id === recipient.variant)
+      : null;
+    const message = variant ? { ...job.message, subject: variant.subject, body: variant.body } : job.message;
+
+    return recipient.variables
+      ? { ...message, ...templateService.render(message, recipient.variables) }
+      : message;
+  }
+
+  trackingFor(job, batch) {
+    if (!job.tracking) {
+      return null;
+    }
+
+    const isGroup = job.mode === 'group';
+    return {
+      ...job.tracking,
+      baseUrl: job.baseUrl,
+      jobId: job.id,
+      trackingId: isGroup ? job.trackingId : batch[0].trackingId,
+      email: isGroup ? null : batch[0].email,
+      variant: isGroup ? null : batch[0].variant
+    };
+  }
+
+  // Everything emailService needs to render and send one batch
+  deliveryFor(job, batch, message = this.messageFor(job, batch[0])) {
+    const emails = batch.map(recipient => recipient.email);
+
+    return {
+      ...message,
+      to: emails,
+      tracking: this.trackingFor(job, batch),
+      // Marketing jobs are always individual, so the link can name the one recipient
+      unsubscribeUrl: job.emailType === 'marketing'
+        ? suppressionService.unsubscribeUrl(job.baseUrl, emails[0])
+        : null
+    };
+  }
+
+  // The distinct messages of a send, variables filled in, with who would get
+  // each: [{ id: variant, recipients, subject, body }]. Recipients with the same
+  // variant and variables get the same message, so it is rendered once for all of
+  // them. A group message is one for all, so it names no recipients.
+  renderedContents(options) {
+    const job = this.buildJob(options);
+    const due = job.recipients.filter(candidate => candidate.status === RECIPIENT_STATUS.PENDING);
+    const messages = new Map();
+
+    (job.mode === 'group' ? due.slice(0, 1) : due).forEach(recipient => {
+      const key = JSON.stringify([recipient.variant, recipient.variables]);
+
+      if (!messages.has(key)) {
+        const { subject, body } = this.messageFor(job, recipient);
+        messages.set(key, { id: recipient.variant || null, recipients: [], subject, body });
+      }
+      if (job.mode !== 'group') {
+        messages.get(key).recipients.push(recipient.email);
+      }
+    });
+
+    return [...messages.values()];
+  }
+
+  // Dry run of a send: the job as it would be queued and, for up to `limit` of its
+  // messages, exactly what would go to SMTP. Nothing is stored, including tracking
+  // records, so tracking links in a preview don't resolve. With `recipient`, only
+  // that recipient's message is rendered, even if they would be skipped.
+  // Returns null when `recipient` isn't part of the send.
+  async preview(options, { recipient = null, limit = 10 } = {}) {
+    const job = { id: 'preview', ...this.buildJob(options) };
+    const due = job.recipients.filter(candidate => candidate.status === RECIPIENT_STATUS.PENDING);
+    let batches = job.mode === 'group' ? [due] : due.map(candidate => [candidate]);
+
+    if (recipient) {
+      const match = job.recipients.find(candidate => candidate.email.toLowerCase() === recipient.toLowerCase());
+
+      if (!match) {
+        return null;
+      }
+
+      batches = job.mode === 'group' ? [due.length > 0 ? due : [match]] : [[match]];
+    }
+
+    const messages = [];
+    for (const batch of batches.filter(candidate => candidate.length > 0).slice(0, limit)) {
+      const delivery = this.deliveryFor(job, batch);
+      const rendered = await emailService.renderMessage({
+        ...delivery,
+        tracking: delivery.tracking && { ...delivery.tracking, record: false }
+      });
+
+      messages.push({ variant: batch[0].variant, ...rendered });
+    }
+
+    return {
+      mode: job.mode,
+      emailType: job.emailType,
+      scheduledFor: job.scheduledFor,
+      recipients: job.recipients.map(candidate => ({
+        email: candidate.email,
+        willSend: candidate.status === RECIPIENT_STATUS.PENDING,
+        reason: candidate.status === RECIPIENT_STATUS.PENDING ? null : candidate.error,
+        variant: candidate.variant
+      })),
+      totals: {
+        recipients: job.recipients.length,
+        willSend: due.length,
+        dropped: job.recipients.length - due.length,
+        messages: job.mode === 'group' ? Math.min(due.length, 1) : due.length
+      },
+      messages
+    };
+  }
+
+  async sendBatch(job, batch) {
+    const attemptedAt = new Date().toISOString();
+    batch.forEach(recipient => {
+      recipient.attempts += 1;
+      recipient.lastAttemptAt = attemptedAt;
+    });
+
+    try {
+      // Group messages can't be personalized, so the first recipient's message serves them all
+      const message = this.messageFor(job, batch[0]);
+      const emails = batch.map(recipient => recipient.email);
+      const info = await emailService.deliver(this.deliveryFor(job, batch, message));
+
+      historyService.addMessage(job.id, {
+        to: emails,
+        cc: message.cc,
+        bcc: message.bcc,
+        subject: message.subject,
+        body: message.body,
+        bodyFormat: message.bodyFormat || 'text',
+        senderProfile: info.senderProfile,
+        variant: batch[0].variant || null,
+        messageId: info.messageId,
+        status: info.accepted && info.accepted.length === 0 ? 'failed' : 'sent'
+      });
+
+      emailService.splitDeliveryResult(emails, info).forEach((outcome, index) => {
+        const recipient = batch[index];
+
+        if (outcome.status === 'sent') {
+          recipient.status = RECIPIENT_STATUS.SENT;
+          recipient.messageId = outcome.messageId;
+          recipient.senderProfile = info.senderProfile;
+          recipient.error = null;
+        } else {
+          recipient.status = RECIPIENT_STATUS.FAILED;
+          recipient.error = outcome.error;
+          console.error(`Failed to send email to ${recipient.email}:`, outcome.error);
+        }
+        recipient.nextAttemptAt = null;
+      });
+    } catch (error) {
+      batch.forEach(recipient => this.handleFailure(recipient, error));
+
+      // Retries are still to come unless every recipient has given up
+      if (batch.every(recipient => recipient.status === RECIPIENT_STATUS.FAILED)) {
+        const message = this.messageFor(job, batch[0]);
+        historyService.addMessage(job.id, {
+          to: batch.map(recipient => recipient.email),
+          cc: message.cc,
+          bcc: message.bcc,
+          subject: message.subject,
+          body: message.body,
+          bodyFormat: message.bodyFormat || 'text',
+          senderProfile: message.senderProfile || null,
+          variant: batch[0].variant || null,
+          messageId: null,
+          status: 'failed',
+          error: error.message
+        });
+      }
+    }
+  }
+
+  handleFailure(recipient, error) {
+    recipient.error = error.message;
+
+    // Hitting a sender profile's limit isn't the recipient's fault: wait and try again
+    // without using up one of their attempts
+    if (error.code === 'ERATELIMIT') {
+      recipient.attempts -= 1;
+      recipient.nextAttemptAt = new Date(Date.now() + this.backoffMs).toISOString();
+      return;
+    }
+
+    if (emailService.isTemporaryError(error) && recipient.attempts < this.maxAttempts) {
+      const delay = this.backoffMs * Math.pow(2, recipient.attempts - 1);
+      recipient.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+      console.warn(`⏳ Temporary failure for ${recipient.email}, retrying in ${delay}ms:`, error.message);
+    } else {
+      recipient.status = RECIPIENT_STATUS.FAILED;
+      recipient.nextAttemptAt = null;
+      console.error(`Failed to send email to ${recipient.email}:`, error.message);
+    }
+  }
+}
+
+module.exports = new QueueService();
+module.exports.JOB_STATUS = JOB_STATUS;
+module.exports.RECIPIENT_STATUS = RECIPIENT_STATUS;
+module.exports.JobError = JobError;
+module.exports.resolveSendAt = resolveSendAt;
+module.exports.isValidTimeZone = isValidTimeZone;
@@ -0,0 +1,215 @@
+const FileStore = require('./fileStore');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Raised when a tenant has used up a quota; retryAfter is in seconds (null if
+// the request can never fit, e.g. more recipients than the whole daily quota)
+class QuotaExceededError extends Error {
+  constructor(message, { quota, limit, used, retryAfter = null }) {
+    super(message);
+    this.name = 'QuotaExceededError';
+    this.code = 'quota_exceeded';
+    this.statusCode = 429;
+    this.quota = quota;
+    this.limit = limit;
+    this.used = used;
+    this.retryAfter = retryAfter;
+  }
+}
+
+const envLimit = name => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? null : value;
+};
+
+const monthOf = timestamp => new Date(timestamp).toISOString().slice(0, 7);
+
+const startOfNextMonth = timestamp => {
+  const date = new Date(timestamp);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+};
+
+class QuotaService {
+  constructor() {
+    // One record per tenant: { id: tenantId, sends: [{ at, count }], aiTokens: { 'YYYY-MM': { prompt, completion, total } } }
+    this.usage = new FileStore('usage');
+  }
+
+  // A tenant's own quotas win over the service-wide defaults; null means unlimited
+  limitsFor(tenant) {
+    const quotas = tenant.quotas || {};
+    const pick = (key, env) => (quotas[key] !== undefined ? quotas[key] : envLimit(env));
+
+    return {
+      recipientsPerHour: pick('recipientsPerHour', 'QUOTA_RECIPIENTS_PER_HOUR'),
+      recipientsPerDay: pick('recipientsPerDay', 'QUOTA_RECIPIENTS_PER_DAY'),
+      aiTokensPerMonth: pick('aiTokensPerMonth', 'QUOTA_AI_TOKENS_PER_MONTH')
+    };
+  }
+
+  getUsage(tenantId) {
+    return this.usage.get(tenantId) || { id: tenantId, sends: [], aiTokens: {} };
+  }
+
+  saveUsage(usage) {
+    if (this.usage.get(usage.id)) {
+      return this.usage.update(usage.id, { sends: usage.sends, aiTokens: usage.aiTokens });
+    }
+
+    return this.usage.insert(usage);
+  }
+
+  // Sends within the last windowMs, oldest first
+  sendsWithin(usage, windowMs, now) {
+    return usage.sends
+      .filter(send => Date.parse(send.at) > now - windowMs)
+      .sort((a, b) => a.at.localeCompare(b.at));
+  }
+
+  // Seconds until enough of the window's sends have aged out to free `needed` recipients
+  secondsUntilFreed(sends, windowMs, needed, now) {
+    let freed = 0;
+
+    for (const send of sends) {
+      freed += send.count;
+      if (freed >= needed) {
+        return Math.max(Math.ceil((Date.parse(send.at) + windowMs - now) / 1000), 1);
+      }
+    }
+
+    return null;
+  }
+
+  // Check the hourly and daily recipient quotas and, if both allow it, record the
+  // send. `count` is the number of addresses the job will actually mail; `jobId`
+  // lets releaseRecipients hand the reservation back if the job never goes out.
+  reserveRecipients(tenant, count, jobId = null, now = Date.now()) {
+    const limits = this.limitsFor(tenant);
+    const usage = this.getUsage(tenant.id);
+    const windows = [
+      { quota: 'recipientsPerHour', label: 'hourly', windowMs: HOUR_MS, limit: limits.recipientsPerHour },
+      { quota: 'recipientsPerDay', label: 'daily', windowMs: DAY_MS, limit: limits.recipientsPerDay }
+    ];
+
+    windows.forEach(({ quota, label, windowMs, limit }) => {
+      if (limit === null) {
+        return;
+      }
+
+      const sends = this.sendsWithin(usage, windowMs, now);
+      const used = sends.reduce((sum, send) => sum + send.count, 0);
+
+      if (used + count <= limit) {
+        return;
+      }
+
+      if (count > limit) {
+        throw new QuotaExceededError(`This send has ${count} recipients, more than the ${label} quota of ${limit}`, { quota, limit, used });
+      }
+
+      throw new QuotaExceededError(`${label[0].toUpperCase()}${label.slice(1)} recipient quota exceeded (${used} of ${limit} used)`, {
+        quota,
+        limit,
+        used,
+        retryAfter: this.secondsUntilFreed(sends, windowMs, used + count - limit, now)
+      });
+    });
+
+    this.saveUsage({
+      ...usage,
+      // Nothing older than the longest window is ever needed again
+      sends: [...this.sendsWithin(usage, DAY_MS, now), { at: new Date(now).toISOString(), count, ...(jobId && { jobId }) }]
+    });
+  }
+
+  // Give back what was reserved for a job that was cancelled before it was sent
+  releaseRecipients(tenantId, jobId) {
+    const usage = this.getUsage(tenantId);
+    const sends = usage.sends.filter(send => send.jobId !== jobId);
+
+    if (sends.length !== usage.sends.length) {
+      this.saveUsage({ ...usage, sends });
+    }
+  }
+
+  // Refuse new AI calls once this month's token budget is spent. A call that is
+  // already running may overshoot it: its cost is only known when it finishes.
+  checkAiBudget(tenant, now = Date.now()) {
+    const limit = this.limitsFor(tenant).aiTokensPerMonth;
+    const used = this.aiTokensUsed(tenant.id, now).total;
+
+    if (limit !== null && used >= limit) {
+      throw new QuotaExceededError(`Monthly AI token budget exhausted (${used} of ${limit} used)`, {
+        quota: 'aiTokensPerMonth',
+        limit,
+        used,
+        retryAfter: Math.ceil((startOfNextMonth(now) - now) / 1000)
+      });
+    }
+  }
+
+  aiTokensUsed(tenantId, now = Date.now()) {
+    return this.getUsage(tenantId).aiTokens[monthOf(now)] || { prompt: 0, completion: 0, total: 0 };
+  }
+
+  // `usage` is the completion's usage block ({ prompt_tokens, completion_tokens, total_tokens })
+  recordAiUsage(tenant, usage, now = Date.now()) {
+    const record = this.getUsage(tenant.id);
+    const month = monthOf(now);
+    const current = record.aiTokens[month] || { prompt: 0, completion: 0, total: 0 };
+    const prompt = usage.prompt_tokens || 0;
+    const completion = usage.completion_tokens || 0;
+
+    this.saveUsage({
+      ...record,
+      aiTokens: {
+        ...record.aiTokens,
+        [month]: {
+          prompt: current.prompt + prompt,
+          completion: current.completion + completion,
+          total: current.total + (usage.total_tokens || prompt + completion)
+        }
+      }
+    });
+  }
+
+  // Limits, usage and what's left of every quota, for the quota endpoint
+  report(tenant, now = Date.now()) {
+    const limits = this.limitsFor(tenant);
+    const usage = this.getUsage(tenant.id);
+
+    const recipientWindow = (limit, windowMs) => {
+      const sends = this.sendsWithin(usage, windowMs, now);
+      const used = sends.reduce((sum, send) => sum + send.count, 0);
+
+      return {
+        limit,
+        used,
+        remaining: limit === null ? null : Math.max(limit - used, 0),
+        // When the oldest send in the window stops counting
+        nextReleaseAt: sends.length > 0 ? new Date(Date.parse(sends[0].at) + windowMs).toISOString() : null
+      };
+    };
+
+    const tokens = this.aiTokensUsed(tenant.id, now);
+
+    return {
+      tenant: tenant.id,
+      recipients: {
+        hour: recipientWindow(limits.recipientsPerHour, HOUR_MS),
+        day: recipientWindow(limits.recipientsPerDay, DAY_MS)
+      },
+      aiTokens: {
+        month: monthOf(now),
+        limit: limits.aiTokensPerMonth,
+        used: tokens,
+        remaining: limits.aiTokensPerMonth === null ? null : Math.max(limits.aiTokensPerMonth - tokens.total, 0),
+        resetsAt: new Date(startOfNextMonth(now)).toISOString()
+      }
+    };
+  }
+}
+
+module.exports = new QuotaService();
+module.exports.QuotaExceededError = QuotaExceededError;
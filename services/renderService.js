@@ -0,0 +1,162 @@
+const { marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+const juice = require('juice');
+const { convert } = require('html-to-text');
+
+const BODY_FORMATS = ['text', 'markdown', 'html'];
+
+// What user-supplied HTML (and HTML inside Markdown) may contain: formatting,
+// links, images and layout tables, but no scripts, forms or event handlers
+const SANITIZE_OPTIONS = {
+  allowedTags: [...sanitizeHtml.defaults.allowedTags, 'img', 'span', 'center'],
+  allowedAttributes: {
+    '*': ['style', 'align', 'dir'],
+    a: ['href', 'name', 'target', 'title'],
+    img: ['src', 'alt', 'title', 'width', 'height'],
+    table: ['width', 'border', 'cellpadding', 'cellspacing', 'bgcolor', 'role'],
+    td: ['width', 'colspan', 'rowspan', 'valign', 'bgcolor'],
+    th: ['width', 'colspan', 'rowspan', 'valign', 'bgcolor']
+  },
+  allowedSchemes: ['http', 'https', 'mailto', 'tel'],
+  // cid: references inline attachments
+  allowedSchemesByTag: { img: ['http', 'https', 'cid', 'data'] },
+  allowProtocolRelative: false
+};
+
+const escapeHtml = text => String(text).replace(/[&<>"']/g, char => ({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+})[char]);
+
+// Brand settings come from BRAND_* and can be overridden per sender profile ("brand" in SENDER_PROFILES)
+const defaultBrand = () => ({
+  name: process.env.BRAND_NAME || null,
+  color: process.env.BRAND_COLOR || '#2563eb',
+  logoUrl: process.env.BRAND_LOGO_URL || null,
+  footer: process.env.BRAND_FOOTER || null
+});
+
+// Table-based so it holds up in Outlook; the media query keeps it readable on phones.
+// juice moves everything but the media query onto the elements themselves.
+const layout = ({ content, subject, brand }) => {
+  const color = /^#[0-9a-f]{3,8}$/i.test(brand.color) ? brand.color : '#2563eb';
+  const header = brand.logoUrl
+    ? `<img src="${escapeHtml(brand.logoUrl)}" alt="${escapeHtml(brand.name || '')}" height="32">`
+    : escapeHtml(brand.name || '');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(subject || '')}</title>
+<style>
+body { margin: 0; padding: 0; background-color: #f4f4f5; }
+.wrapper { width: 100%; background-color: #f4f4f5; padding: 24px 0; }
+.container { width: 100%; max-width: 600px; margin: 0 auto; background-color: #ffffff; border-radius: 8px; }
+.header { background-color: ${color}; color: #ffffff; padding: 20px 32px; font-family: Arial, Helvetica, sans-serif; font-size: 20px; font-weight: bold; border-radius: 8px 8px 0 0; }
+.content { padding: 32px; font-family: Arial, Helvetica, sans-serif; font-size: 16px; line-height: 1.6; color: #1f2937; }
+.content a { color: ${color}; }
+.content img { max-width: 100%; height: auto; }
+.content pre { background-color: #f3f4f6; padding: 12px; white-space: pre-wrap; }
+.footer { padding: 16px 32px; font-family: Arial, Helvetica, sans-serif; font-size: 12px; color: #6b7280; text-align: center; }
+@media only screen and (max-width: 620px) {
+  .wrapper { padding: 0 !important; }
+  .container { border-radius: 0 !important; }
+  .header { padding: 16px 20px !important; }
+  .content { padding: 20px !important; }
+}
+</style>
+</head>
+<body>
+<table role="presentation" class="wrapper" width="100%" cellpadding="0" cellspacing="0"><tr><td>
+<table role="presentation" class="container" width="600" cellpadding="0" cellspacing="0" align="center">
+${header ? `<tr><td class="header">${header}</td></tr>` : ''}
+<tr><td class="content">
+${content}
+</td></tr>
+${brand.footer ? `<tr><td class="footer">${escapeHtml(brand.footer)}</td></tr>` : ''}
+</table>
+</td></tr></table>
+</body>
+</html>`;
+};
+
+class RenderService {
+  constructor() {
+    this.bodyFormats = BODY_FORMATS;
+  }
+
+  escapeHtml(text) {
+    return escapeHtml(text);
+  }
+
+  sanitize(html) {
+    return sanitizeHtml(html, SANITIZE_OPTIONS);
+  }
+
+  // Body as an HTML fragment. Plain text is escaped and split into paragraphs;
+  // Markdown and HTML go through the sanitizer.
+  toHtml(body, format = 'text') {
+    if (format === 'markdown') {
+      return this.sanitize(marked.parse(String(body)));
+    }
+
+    if (format === 'html') {
+      return this.sanitize(String(body));
+    }
+
+    return String(body)
+      .replace(/\r\n/g, '\n')
+      .split(/\n{2,}/)
+      .filter(paragraph => paragraph.trim())
+      .map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`)
+      .join('\n');
+  }
+
+  // Plain-text alternative of an HTML fragment; links keep their URL in brackets
+  toText(html) {
+    return convert(html, {
+      wordwrap: 78,
+      selectors: [
+        { selector: 'a', options: { hideLinkHrefIfSameAsText: true } },
+        { selector: 'img', format: 'skip' },
+        { selector: 'h1', options: { uppercase: false } },
+        { selector: 'h2', options: { uppercase: false } },
+        { selector: 'h3', options: { uppercase: false } },
+        { selector: 'table', format: 'dataTable' }
+      ]
+    });
+  }
+
+  // Both parts of a message: the HTML (in the branded layout with CSS inlined,
+  // unless layout is false) and the plain text
+  render({ body, bodyFormat = 'text', layout: useLayout = true, subject, brand = {} }) {
+    const content = this.toHtml(body, bodyFormat);
+    // A plain-text body already is the best text part there is
+    const text = bodyFormat === 'text' ? String(body) : this.toText(content);
+
+    if (!useLayout) {
+      return { html: content, text };
+    }
+
+    const html = juice(layout({ content, subject, brand: { ...defaultBrand(), ...brand } }), {
+      preserveMediaQueries: true,
+      applyWidthAttributes: true
+    });
+
+    return { html, text };
+  }
+
+  // Put a snippet at the end of the visible body, inside the layout when there is one
+  appendToBody(html, snippet) {
+    const end = html.lastIndexOf('</body>');
+    return end === -1 ? html + snippet : html.slice(0, end) + snippet + html.slice(end);
+  }
+}
+
+module.exports = new RenderService();
+module.exports.BODY_FORMATS = BODY_FORMATS;
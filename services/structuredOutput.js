@@ -0,0 +1,207 @@
+const Joi = require('joi');
+
+// Raised when the model's reply still doesn't match the schema after every repair attempt
+class StructuredOutputError extends Error {
+  constructor(message, { rawOutput, details = [] } = {}) {
+    super(message);
+    this.name = 'StructuredOutputError';
+    this.code = 'invalid_ai_output';
+    this.statusCode = 502;
+    this.rawOutput = rawOutput;
+    this.details = details;
+  }
+}
+
+// The email every AI method hands back: plain-text subject and body
+const emailSchema = Joi.object({
+  subject: Joi.string().trim().min(1).max(200).required(),
+  body: Joi.string().trim().min(1).required()
+    .custom((value, helpers) => {
+      if (/^\s*{[\s\S]*"(subject|body)"\s*:/.test(value)) {
+        return helpers.message('"body" must be the email text, not a JSON object');
+      }
+
+      // Double-escaped line breaks come through as a literal "\n"
+      return value.includes('\n') ? value : value.replace(/\\n/g, '\n');
+    })
+}).unknown(true);
+
+// Several candidate emails from one prompt, each written from a different angle
+const variantsSchema = count => Joi.object({
+  variants: Joi.array().items(emailSchema.keys({
+    angle: Joi.string().trim().max(200).required()
+  })).length(count).required()
+});
+
+const variantsShape = count =>
+  `{ "variants": [ ${count} objects like { "angle": "string", "subject": "string", "body": "string" } ] }`;
+
+// What an inbound email is about, as the AI reads it
+const INTENTS = ['question', 'request', 'support', 'complaint', 'feedback', 'meeting', 'sales', 'unsubscribe', 'out-of-office', 'spam', 'other'];
+
+// Triage of an inbound email: its intent and, when it needs an answer, a draft reply
+const triageSchema = Joi.object({
+  intent: Joi.string().trim().lowercase().valid(...INTENTS).required(),
+  summary: Joi.string().trim().min(1).max(500).required(),
+  needsReply: Joi.boolean().required(),
+  reply: Joi.when('needsReply', {
+    is: true,
+    then: emailSchema.required(),
+    otherwise: Joi.any().strip()
+  })
+});
+
+const TRIAGE_SHAPE = `{ "intent": "one of ${INTENTS.join(', ')}", "summary": "string", "needsReply": boolean, "reply": { "subject": "string", "body": "string" } (only when needsReply is true) }`;
+
+const EMAIL_SHAPE = '{ "subject": "string", "body": "string (plain text, use \\n for line breaks)" }';
+
+// How many times a reply that fails validation is sent back for repair
+const repairAttempts = () => {
+  const configured = parseInt(process.env.AI_REPAIR_ATTEMPTS);
+  return Number.isNaN(configured) ? 2 : Math.max(configured, 0);
+};
+
+// Models sometimes wrap JSON in a ```json fence even in JSON mode
+const parseJson = text => {
+  const unfenced = text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  return JSON.parse(unfenced);
+};
+
+// Parse and validate one model reply; throws the JSON or validation error
+const parseStructured = (output, schema = emailSchema) => {
+  const { error, value } = schema.validate(parseJson(output));
+
+  if (error) {
+    throw error;
+  }
+
+  return value;
+};
+
+// The follow-up turn that asks the model to fix a reply that didn't validate
+const repairMessages = (output, error, shape = EMAIL_SHAPE) => [
+  { role: 'assistant', content: output },
+  {
+    role: 'user',
+    content: `Your previous reply could not be used: ${error.message}. ` +
+      `Reply again with ONLY a JSON object of the form ${shape} and no other text.`
+  }
+];
+
+// Read the string values of `fields` out of JSON that is still arriving, calling
+// onDelta(field, text) with whatever is new since the last push. Escape sequences
+// split across chunks are held back until they are complete.
+const createFieldStreamer = (fields, onDelta) => {
+  let buffer = '';
+  const emitted = Object.fromEntries(fields.map(field => [field, 0]));
+
+  const readString = start => {
+    let text = '';
+
+    for (let i = start; i < buffer.length; i++) {
+      const char = buffer[i];
+
+      if (char === '"') {
+        return text;
+      }
+
+      if (char !== '\\') {
+        text += char;
+        continue;
+      }
+
+      const next = buffer[i + 1];
+      if (next === undefined) {
+        return text;
+      }
+
+      if (next === 'u') {
+        const hex = buffer.slice(i + 2, i + 6);
+        if (hex.length < 4) {
+          return text;
+        }
+        text += String.fromCharCode(parseInt(hex, 16));
+        i += 5;
+        continue;
+      }
+
+      text += { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f' }[next] || next;
+      i += 1;
+    }
+
+    return text;
+  };
+
+  return chunk => {
+    buffer += chunk;
+
+    fields.forEach(field => {
+      const match = new RegExp(`"${field}"\\s*:\\s*"`).exec(buffer);
+
+      if (!match) {
+        return;
+      }
+
+      const text = readString(match.index + match[0].length);
+      if (text.length > emitted[field]) {
+        onDelta(field, text.slice(emitted[field]));
+        emitted[field] = text.length;
+      }
+    });
+  };
+};
+
+// Run a completion that must produce JSON matching `schema`. Uses the provider's
+// JSON mode when it has one, validates the reply and, when it doesn't fit, asks
+// the model to repair it. Returns { value, completion, provider, attempts }.
+const completeStructured = async (aiService, messages, {
+  schema = emailSchema,
+  shape = EMAIL_SHAPE,
+  maxRepairs = repairAttempts(),
+  ...options
+} = {}) => {
+  const conversation = [...messages];
+  const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+  let lastError;
+  let lastOutput;
+
+  for (let attempt = 1; attempt <= maxRepairs + 1; attempt++) {
+    const { completion, provider } = await aiService.complete(conversation, { ...options, json: true });
+    const output = completion.choices[0].message.content || '';
+    lastOutput = output;
+
+    if (completion.usage) {
+      Object.keys(usage).forEach(key => { usage[key] += completion.usage[key] || 0; });
+    }
+
+    try {
+      const value = parseStructured(output, schema);
+      return { value, completion: { ...completion, usage }, provider, attempts: attempt };
+    } catch (error) {
+      lastError = error;
+      console.warn(`⚠️  AI output failed validation (attempt ${attempt}):`, error.message);
+      conversation.push(...repairMessages(output, error, shape));
+    }
+  }
+
+  throw new StructuredOutputError('AI returned output that could not be parsed as a valid email', {
+    rawOutput: lastOutput,
+    details: lastError && lastError.details ? lastError.details.map(detail => detail.message) : [lastError && lastError.message]
+  });
+};
+
+module.exports = {
+  StructuredOutputError,
+  emailSchema,
+  EMAIL_SHAPE,
+  variantsSchema,
+  variantsShape,
+  INTENTS,
+  triageSchema,
+  TRIAGE_SHAPE,
+  repairAttempts,
+  parseStructured,
+  repairMessages,
+  createFieldStreamer,
+  completeStructured
+};
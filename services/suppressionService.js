@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const FileStore = require('./fileStore');
+
+// "marketing" entries only block marketing sends (an unsubscribe shouldn't stop
+// password resets); "all" entries block every send to the address.
+const SCOPES = ['marketing', 'all'];
+
+// One entry per address blocks it for every tenant. `addedBy` lists the tenants
+// that imported it, and `system` is set once an unsubscribe, bounce or complaint
+// added it. A tenant only sees and removes its own additions; entries from before
+// `addedBy` existed count as system ones.
+const isSystem = entry => entry.system !== false || !entry.addedBy;
+
+class SuppressionService {
+  constructor() {
+    this.suppressions = new FileStore('suppressions');
+    this.secret = process.env.UNSUBSCRIBE_SECRET;
+
+    if (!this.secret) {
+      // Links keep working until the next restart only
+      console.warn('UNSUBSCRIBE_SECRET not set. Unsubscribe links will stop working after a restart.');
+      this.secret = crypto.randomBytes(32).toString('hex');
+    }
+  }
+
+  normalize(email) {
+    return String(email).trim().toLowerCase();
+  }
+
+  get(email) {
+    return this.suppressions.get(this.normalize(email));
+  }
+
+  isSuppressed(email, emailType = 'general') {
+    const entry = this.get(email);
+    return !!entry && (entry.scope === 'all' || emailType === 'marketing');
+  }
+
+  // Every entry, or with `tenantId` only those the tenant added (without who
+  // else added them)
+  list(tenantId = null) {
+    const entries = this.suppressions.all().sort((a, b) => a.email.localeCompare(b.email));
+
+    return tenantId === null
+      ? entries
+      : entries
+        .filter(entry => (entry.addedBy || []).includes(tenantId))
+        .map(({ addedBy, system, ...entry }) => entry);
+  }
+
+  // `tenantId` is the tenant adding the address; null for the service itself
+  // (unsubscribe links, bounces, complaints)
+  add(email, { reason = 'manual', scope = 'all', source = null, tenantId = null } = {}) {
+    const id = this.normalize(email);
+    const existing = this.suppressions.get(id);
+
+    if (existing) {
+      const addedBy = existing.addedBy || [];
+
+      // Never narrow an existing entry: a bounce stays global even if the address later unsubscribes
+      return this.suppressions.update(id, {
+        scope: existing.scope === 'all' ? 'all' : scope,
+        reason,
+        source,
+        addedBy: tenantId && !addedBy.includes(tenantId) ? [...addedBy, tenantId] : addedBy,
+        system: isSystem(existing) || !tenantId
+      });
+    }
+
+    return this.suppressions.insert({ id, email: id, reason, scope, source, addedBy: tenantId ? [tenantId] : [], system: !tenantId });
+  }
+
+  // Remove the address outright, whoever added it (the operator's removal), or
+  // with `tenantId` only that tenant's addition: the entry stays while other
+  // tenants or the service itself still block the address. Returns false when
+  // there was nothing of the tenant's to remove.
+  remove(email, tenantId = null) {
+    const id = this.normalize(email);
+
+    if (tenantId === null) {
+      return this.suppressions.remove(id);
+    }
+
+    const entry = this.suppressions.get(id);
+
+    if (!entry || !(entry.addedBy || []).includes(tenantId)) {
+      return false;
+    }
+
+    const addedBy = entry.addedBy.filter(candidate => candidate !== tenantId);
+
+    if (addedBy.length === 0 && !isSystem(entry)) {
+      return this.suppressions.remove(id);
+    }
+
+    this.suppressions.update(id, { addedBy });
+    return true;
+  }
+
+  sign(payload) {
+    return crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+  }
+
+  // Token = base64url(email).signature, so the endpoint needs no lookup table
+  createToken(email) {
+    const payload = Buffer.from(this.normalize(email)).toString('base64url');
+    return `${payload}.${this.sign(payload)}`;
+  }
+
+  // Returns the email address for a valid token, or null
+  verifyToken(token) {
+    const [payload, signature] = String(token).split('.');
+
+    if (!payload || !signature) {
+      return null;
+    }
+
+    const expected = Buffer.from(this.sign(payload));
+    const actual = Buffer.from(signature);
+
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    return Buffer.from(payload, 'base64url').toString('utf8');
+  }
+
+  unsubscribeUrl(baseUrl, email) {
+    return `${baseUrl}/unsubscribe/${this.createToken(email)}`;
+  }
+}
+
+module.exports = new SuppressionService();
+module.exports.SCOPES = SCOPES;
@@ -0,0 +1,106 @@
+const FileStore = require('./fileStore');
+const tenantService = require('./tenantService');
+const renderService = require('./renderService');
+
+// {{firstName}} or {{ firstName }}
+const PLACEHOLDER_PATTERN = /{{\s*([A-Za-z_][\w]*)\s*}}/g;
+
+class TemplateService {
+  constructor() {
+    this.templates = new FileStore('templates');
+  }
+
+  extractVariables(...texts) {
+    const variables = new Set();
+
+    texts.filter(Boolean).forEach(text => {
+      for (const match of text.matchAll(PLACEHOLDER_PATTERN)) {
+        variables.add(match[1]);
+      }
+    });
+
+    return [...variables];
+  }
+
+  interpolate(text, variables = {}, escape = value => value) {
+    if (!text) {
+      return text;
+    }
+
+    return text.replace(PLACEHOLDER_PATTERN, (placeholder, name) =>
+      variables[name] !== undefined && variables[name] !== null ? escape(String(variables[name])) : placeholder
+    );
+  }
+
+  // Values going into a Markdown or HTML body are escaped so they show up as typed
+  render({ subject, body, bodyFormat = 'text' }, variables = {}) {
+    return {
+      subject: this.interpolate(subject, variables),
+      body: this.interpolate(body, variables, bodyFormat === 'text' ? undefined : renderService.escapeHtml)
+    };
+  }
+
+  // Returns one error message per recipient/variable pair that can't be filled
+  findMissingVariables({ subject, body }, recipients, variablesByRecipient = {}) {
+    const required = this.extractVariables(subject, body);
+    const errors = [];
+
+    recipients.forEach(email => {
+      const variables = variablesByRecipient[email] || {};
+      const missing = required.filter(name =>
+        variables[name] === undefined || variables[name] === null || variables[name] === ''
+      );
+
+      if (missing.length > 0) {
+        errors.push(`Recipient ${email} is missing template variables: ${missing.join(', ')}`);
+      }
+    });
+
+    return errors;
+  }
+
+  list(tenantId) {
+    return this.templates
+      .find(template => tenantService.owns(template, tenantId))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // Another tenant's template is reported the same as a missing one
+  get(id, tenantId) {
+    const template = this.templates.get(id);
+    return template && tenantService.owns(template, tenantId) ? template : null;
+  }
+
+  create({ name, subject, body, description, metadata }, tenantId) {
+    return this.templates.insert({
+      tenantId,
+      name,
+      description: description || null,
+      subject,
+      body,
+      variables: this.extractVariables(subject, body),
+      // Templates saved from /generate output carry its metadata (prompt, tone, ...)
+      metadata: metadata || null
+    });
+  }
+
+  update(id, changes, tenantId) {
+    const existing = this.get(id, tenantId);
+
+    if (!existing) {
+      return null;
+    }
+
+    const next = { ...existing, ...changes };
+    return this.templates.update(id, {
+      ...changes,
+      variables: this.extractVariables(next.subject, next.body)
+    });
+  }
+
+  remove(id, tenantId) {
+    return !!this.get(id, tenantId) && this.templates.remove(id);
+  }
+}
+
+module.exports = new TemplateService();
@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// generate: AI routes, send: sending, jobs and templates, admin: everything
+// `operator` is for whoever runs the service and reaches every tenant's data
+const SCOPES = ['generate', 'send', 'admin', 'operator'];
+
+// Records created before tenants existed belong to this tenant
+const DEFAULT_TENANT = 'default';
+
+const hashKey = key => crypto.createHash('sha256').update(key).digest('hex');
+
+class TenantService {
+  constructor() {
+    this.jwtSecret = process.env.JWT_SECRET || null;
+    this.authDisabled = process.env.AUTH_DISABLED === 'true';
+    this.apiKeys = new Map();
+    this.tenants = this.loadTenants();
+
+    if (this.authDisabled) {
+      console.warn('AUTH_DISABLED is set. The API is open to anyone who can reach it.');
+    } else if (this.tenants.size === 0) {
+      console.warn('No TENANTS configured. Every /api/email request will be rejected.');
+    }
+  }
+
+  // Tenants come from TENANTS, a JSON array of
+  // { id, name, apiKeys: [{ key | keyHash, scopes, name }], senderProfiles, allowedOrigins, quotas, contentPolicy }.
+  // Keys can be given as a SHA-256 hex hash so the plain key never sits in the config.
+  loadTenants() {
+    let configs = [];
+
+    if (process.env.TENANTS) {
+      try {
+        configs = JSON.parse(process.env.TENANTS);
+      } catch (error) {
+        console.error('Invalid TENANTS JSON, ignoring it:', error.message);
+      }
+    }
+
+    const tenants = new Map();
+    configs.forEach(config => {
+      if (!config.id) {
+        console.warn(`Tenant ${config.name || '(unnamed)'} is missing an id, skipping it.`);
+        return;
+      }
+
+      const tenant = {
+        id: config.id,
+        name: config.name || config.id,
+        // null means every configured sender profile; the first one is the tenant's default
+        senderProfiles: config.senderProfiles || null,
+        allowedOrigins: config.allowedOrigins || [],
+        // { recipientsPerHour, recipientsPerDay, aiTokensPerMonth }; missing ones use the QUOTA_* defaults
+        quotas: config.quotas || {},
+        // { spamWarnScore, spamBlockScore, maxLinks, blockPii, blockHarmful }; missing ones use the CONTENT_* defaults
+        contentPolicy: config.contentPolicy || {}
+      };
+      tenants.set(tenant.id, tenant);
+
+      (config.apiKeys || []).forEach(apiKey => {
+        const hash = apiKey.keyHash || (apiKey.key && hashKey(apiKey.key));
+
+        if (!hash) {
+          console.warn(`An API key of tenant ${tenant.id} has neither key nor keyHash, skipping it.`);
+          return;
+        }
+
+        this.apiKeys.set(hash.toLowerCase(), {
+          tenantId: tenant.id,
+          name: apiKey.name || null,
+          // Tells key holders apart in audit trails; unnamed keys by a prefix of their hash
+          actor: apiKey.name || `key:${hash.toLowerCase().slice(0, 12)}`,
+          scopes: (apiKey.scopes || []).filter(scope => SCOPES.includes(scope))
+        });
+      });
+    });
+
+    return tenants;
+  }
+
+  // The context every request runs as when authentication is switched off
+  defaultContext() {
+    return {
+      tenant: { id: DEFAULT_TENANT, name: 'Default', senderProfiles: null, allowedOrigins: [], quotas: {}, contentPolicy: {} },
+      scopes: [...SCOPES],
+      method: 'none',
+      subject: null,
+      actor: null
+    };
+  }
+
+  // Returns { tenant, scopes, method, subject, actor } for a known key, otherwise null
+  authenticateApiKey(key) {
+    const apiKey = this.apiKeys.get(hashKey(key));
+    const tenant = apiKey && this.tenants.get(apiKey.tenantId);
+
+    if (!tenant) {
+      return null;
+    }
+
+    return { tenant, scopes: apiKey.scopes, method: 'apiKey', subject: apiKey.name, actor: apiKey.actor };
+  }
+
+  // Verify an HS256 token signed with JWT_SECRET. The "tenant" claim names a
+  // configured tenant, "scope" holds space-separated scopes. Throws the
+  // jsonwebtoken error for a bad signature or an expired token.
+  authenticateJwt(token) {
+    if (!this.jwtSecret) {
+      return null;
+    }
+
+    const payload = jwt.verify(token, this.jwtSecret, { algorithms: ['HS256'] });
+    const tenant = this.tenants.get(payload.tenant);
+
+    if (!tenant) {
+      return null;
+    }
+
+    const scopes = Array.isArray(payload.scope) ? payload.scope : String(payload.scope || '').split(/\s+/);
+    return {
+      tenant,
+      scopes: scopes.filter(scope => SCOPES.includes(scope)),
+      method: 'jwt',
+      subject: payload.sub || null,
+      // A token without "sub" can't be told apart from any other
+      actor: payload.sub || null
+    };
+  }
+
+  // operator covers every scope, admin every one but operator
+  hasScope(auth, scope) {
+    return auth.scopes.includes('operator') || auth.scopes.includes(scope) ||
+      (scope !== 'operator' && auth.scopes.includes('admin'));
+  }
+
+  // Browsers send the preflight before any credentials, so CORS first allows
+  // every origin some tenant lists; the tenant's own list is checked after auth
+  isKnownOrigin(origin) {
+    return [...this.tenants.values()].some(tenant => tenant.allowedOrigins.includes(origin));
+  }
+
+  isOriginAllowed(tenant, origin) {
+    return tenant.allowedOrigins.includes(origin);
+  }
+
+  canUseProfile(tenant, name) {
+    return !tenant.senderProfiles || tenant.senderProfiles.includes(name);
+  }
+
+  // null means the service-wide default profile
+  defaultProfileFor(tenant) {
+    return tenant.senderProfiles ? tenant.senderProfiles[0] : null;
+  }
+
+  // A configured tenant by id; the default tenant always exists
+  get(id) {
+    return this.tenants.get(id) || (id === DEFAULT_TENANT ? this.defaultContext().tenant : null);
+  }
+
+  // The tenant that mail sent to a profile's address belongs to: the first one
+  // that lists the profile, else the first that may use every profile
+  tenantForProfile(name) {
+    const tenants = [...this.tenants.values()];
+    const tenant = tenants.find(candidate => candidate.senderProfiles && candidate.senderProfiles.includes(name)) ||
+      tenants.find(candidate => !candidate.senderProfiles);
+
+    return tenant || this.get(DEFAULT_TENANT);
+  }
+
+  owns(record, tenantId) {
+    return (record.tenantId || DEFAULT_TENANT) === tenantId;
+  }
+}
+
+module.exports = new TenantService();
+module.exports.SCOPES = SCOPES;
+module.exports.DEFAULT_TENANT = DEFAULT_TENANT;
@@ -0,0 +1,127 @@
+const { parseMessage, parseAddressList, parseMessageIds } = require('./mailParser');
+
+// Keep the AI prompt bounded however long the thread is
+const MAX_THREAD_MESSAGES = 10;
+const MAX_MESSAGE_CHARS = 4000;
+// Long threads keep the first reference (the thread root) and the most recent ones
+const MAX_REFERENCES = 20;
+
+// Re:, RE[2]:, Fwd:, and the German/Scandinavian/Dutch forms mail clients use
+const SUBJECT_PREFIX_PATTERN = /^\s*((re|fwd?|aw|wg|sv|vs|antw)(\[\d+\])?\s*:\s*)+/i;
+
+const addressesOf = value => (Array.isArray(value) ? value.flatMap(parseAddressList) : parseAddressList(value));
+
+// Quoted history ("> ...") and the "On <date>, <name> wrote:" line above it.
+// Only used when the thread holds the earlier messages itself.
+const stripQuoted = text => text
+  .split(/\r?\n/)
+  .filter(line => !/^\s*>/.test(line))
+  .join('\n')
+  .replace(/\n\s*On .{0,200}wrote:\s*$/s, '')
+  .trim();
+
+// Turns a conversation, given as message objects or raw RFC 822 sources, into
+// what reply generation needs: a transcript for the AI, who to answer, and
+// the headers that make mail clients file the reply in the same thread.
+class ThreadService {
+  // `messages` are { from, to, cc, subject, date, body, messageId, references },
+  // oldest first. Raw sources are parsed and put in date order when every one has a date.
+  normalize({ messages, raw }) {
+    if (raw) {
+      const parsed = (Array.isArray(raw) ? raw : [raw]).map(source => {
+        const message = parseMessage(source);
+        return { ...message, body: message.text };
+      });
+
+      return parsed.every(message => message.date)
+        ? parsed.sort((a, b) => a.date.localeCompare(b.date))
+        : parsed;
+    }
+
+    return messages.map(message => ({
+      from: addressesOf(message.from)[0] || null,
+      to: addressesOf(message.to || []),
+      cc: addressesOf(message.cc || []),
+      replyTo: addressesOf(message.replyTo || []),
+      subject: message.subject || '',
+      date: message.date ? new Date(message.date).toISOString() : null,
+      body: message.body,
+      messageId: parseMessageIds(message.messageId)[0] || null,
+      inReplyTo: parseMessageIds(message.inReplyTo)[0] || null,
+      references: parseMessageIds((message.references || []).join(' '))
+    }));
+  }
+
+  // "RE: Fwd: Offer" -> "Re: Offer"
+  replySubject(subject) {
+    const base = String(subject || '').replace(SUBJECT_PREFIX_PATTERN, '').trim();
+    return base ? `Re: ${base}` : 'Re:';
+  }
+
+  // RFC 5322 3.6.4: the parent's References (or its In-Reply-To) plus its Message-ID.
+  // A parent without a Message-ID can't be threaded to.
+  threadingFor(parent) {
+    if (!parent.messageId) {
+      return { inReplyTo: null, references: [] };
+    }
+
+    const ancestors = parent.references.length > 0 ? parent.references : (parent.inReplyTo ? [parent.inReplyTo] : []);
+    let references = [...ancestors.filter(id => id !== parent.messageId), parent.messageId];
+
+    if (references.length > MAX_REFERENCES) {
+      references = [references[0], ...references.slice(-(MAX_REFERENCES - 1))];
+    }
+
+    return { inReplyTo: parent.messageId, references };
+  }
+
+  // A reply answers whoever wrote the last message (its Reply-To when set). When we
+  // wrote the last message ourselves, e.g. a follow-up to an unanswered email, it
+  // goes to that message's recipients again. replyAll copies everyone else in.
+  recipientsFor(thread, ownAddresses, { replyAll = false } = {}) {
+    const own = new Set(ownAddresses.map(address => address.toLowerCase()));
+    const last = thread[thread.length - 1];
+    const fromUs = !!last.from && own.has(last.from.address);
+
+    let to;
+    if (fromUs) {
+      to = last.to;
+    } else if (last.replyTo.length > 0) {
+      to = last.replyTo;
+    } else {
+      to = last.from ? [last.from] : [];
+    }
+
+    const toAddresses = [...new Set(to.map(entry => entry.address))].filter(address => !own.has(address));
+    const cc = fromUs || replyAll
+      ? [...new Set([...(fromUs ? [] : last.to), ...last.cc].map(entry => entry.address))]
+        .filter(address => !own.has(address) && !toAddresses.includes(address))
+      : [];
+
+    return { recipients: toAddresses, cc };
+  }
+
+  // The conversation as plain text for the AI, most recent messages last
+  transcript(thread) {
+    const recent = thread.slice(-MAX_THREAD_MESSAGES);
+    const person = entry => (entry ? (entry.name ? `${entry.name} <${entry.address}>` : entry.address) : 'unknown');
+
+    return recent.map((message, index) => {
+      // With the history in the thread, quoted copies of it only repeat it
+      const body = thread.length > 1 ? stripQuoted(message.body || '') : String(message.body || '').trim();
+      const clipped = body.length > MAX_MESSAGE_CHARS ? `${body.slice(0, MAX_MESSAGE_CHARS)}\n[...]` : body;
+
+      return [
+        `--- Message ${thread.length - recent.length + index + 1} of ${thread.length} ---`,
+        `From: ${person(message.from)}`,
+        message.to.length > 0 ? `To: ${message.to.map(person).join(', ')}` : null,
+        message.date ? `Date: ${message.date}` : null,
+        `Subject: ${message.subject || '(no subject)'}`,
+        '',
+        clipped
+      ].filter(line => line !== null).join('\n');
+    }).join('\n\n');
+  }
+}
+
+module.exports = new ThreadService();
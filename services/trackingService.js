@@ -0,0 +1,177 @@
+const FileStore = require('./fileStore');
+const renderService = require('./renderService');
+
+// 1x1 transparent GIF served for open tracking
+const PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+const URL_PATTERN = /\bhttps?:\/\/[^\s<>"']+[^\s<>"'.,;:!?)]/gi;
+
+class TrackingService {
+  constructor() {
+    this.messages = new FileStore('tracking');
+    this.pixel = PIXEL;
+    this.flushIntervalMs = parseInt(process.env.TRACKING_FLUSH_INTERVAL_MS) || 1000;
+    this.flushTimer = null;
+  }
+
+  // Sends, opens and clicks each change one record, but persisting rewrites the
+  // whole store. Changes are kept in memory and written out together at most
+  // once per flushIntervalMs, so a crash loses at most that interval's events.
+  scheduleFlush() {
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), this.flushIntervalMs);
+    }
+  }
+
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    this.messages.flush();
+  }
+
+  // Rewrite links and append an open pixel to the HTML of one outgoing message.
+  // Every tracked message gets its own record, keyed by the recipient's trackingId.
+  instrument(html, { trackingId, jobId, email = null, variant = null, baseUrl, opens = false, clicks = false, record = true }) {
+    const links = [];
+    let output = html;
+
+    if (clicks) {
+      const track = url => {
+        let index = links.indexOf(url);
+        if (index === -1) {
+          links.push(url);
+          index = links.length - 1;
+        }
+        return `${baseUrl}/t/c/${trackingId}-${index}`;
+      };
+
+      let insideLink = false;
+      // Nothing in <head> (title, styles) is a link a reader can click
+      let insideHead = false;
+      output = output.split(/(<[^>]+>)/).map(part => {
+        if (part.startsWith('<')) {
+          if (/^<\/?head\b/i.test(part)) {
+            insideHead = !part.startsWith('</');
+            return part;
+          }
+          if (/^<a\b/i.test(part)) {
+            insideLink = true;
+            return part.replace(/(\bhref\s*=\s*")(https?:\/\/[^"]+)(")/i, (match, before, url, after) =>
+              `${before}${track(url.replace(/&amp;/g, '&'))}${after}`
+            );
+          }
+          if (/^<\/a\s*>/i.test(part)) {
+            insideLink = false;
+          }
+          return part;
+        }
+
+        // Bare URLs in the text become tracked links too
+        return insideLink || insideHead ? part : part.replace(URL_PATTERN, url => `<a href="${track(url.replace(/&amp;/g, '&'))}">${url}</a>`);
+      }).join('');
+    }
+
+    if (opens) {
+      output = renderService.appendToBody(output, `<img src="${baseUrl}/t/o/${trackingId}" width="1" height="1" alt="" style="display:none">`);
+    }
+
+    // Previews render tracked messages without creating records for them
+    if (!record) {
+      return output;
+    }
+
+    const existing = this.messages.get(trackingId);
+    if (existing) {
+      this.messages.update(trackingId, { links }, { persist: false });
+    } else {
+      this.messages.insert({ id: trackingId, jobId, email, variant, links, opens: [], clicks: [] }, { persist: false });
+    }
+    this.scheduleFlush();
+
+    return output;
+  }
+
+  recordOpen(trackingId, meta = {}) {
+    const message = this.messages.get(trackingId);
+
+    if (!message) {
+      return false;
+    }
+
+    this.messages.update(trackingId, {
+      opens: [...message.opens, { at: new Date().toISOString(), ...meta }]
+    }, { persist: false });
+    this.scheduleFlush();
+    return true;
+  }
+
+  // Returns the destination URL, or null for an unknown id
+  recordClick(clickId, meta = {}) {
+    const match = /^(.+)-(\d+)$/.exec(clickId);
+    const message = match && this.messages.get(match[1]);
+    const url = message && message.links[parseInt(match[2])];
+
+    if (!url) {
+      return null;
+    }
+
+    this.messages.update(message.id, {
+      clicks: [...message.clicks, { at: new Date().toISOString(), url, ...meta }]
+    }, { persist: false });
+    this.scheduleFlush();
+    return url;
+  }
+
+  // Drop the records (with their IPs and user agents) of messages sent before cutoff
+  purge(cutoff) {
+    const expired = this.messages.find(message => Date.parse(message.createdAt) < cutoff);
+
+    expired.forEach(message => this.messages.remove(message.id, { persist: false }));
+    this.flush();
+    return expired.length;
+  }
+
+  // Aggregate opens/clicks for a job, overall, per link and per A/B variant
+  getJobStats(job) {
+    const messages = this.messages.find(message => message.jobId === job.id);
+    const delivered = job.recipients.filter(recipient => recipient.status === 'sent').length;
+
+    const aggregate = list => {
+      const opened = list.filter(message => message.opens.length > 0).length;
+      const clicked = list.filter(message => message.clicks.length > 0).length;
+
+      return {
+        trackedMessages: list.length,
+        uniqueOpens: opened,
+        totalOpens: list.reduce((sum, message) => sum + message.opens.length, 0),
+        uniqueClicks: clicked,
+        totalClicks: list.reduce((sum, message) => sum + message.clicks.length, 0),
+        openRate: list.length > 0 ? opened / list.length : 0,
+        clickRate: list.length > 0 ? clicked / list.length : 0
+      };
+    };
+
+    const links = {};
+    messages.forEach(message => message.clicks.forEach(click => {
+      links[click.url] = (links[click.url] || 0) + 1;
+    }));
+
+    return {
+      jobId: job.id,
+      delivered,
+      ...aggregate(messages),
+      links: Object.entries(links)
+        .map(([url, clicks]) => ({ url, clicks }))
+        .sort((a, b) => b.clicks - a.clicks),
+      ...(job.variants && {
+        variants: job.variants.map(variant => ({
+          id: variant.id,
+          subject: variant.subject,
+          ...aggregate(messages.filter(message => message.variant === variant.id))
+        }))
+      })
+    };
+  }
+}
+
+module.exports = new TrackingService();
@@ -0,0 +1,302 @@
+const dns = require('dns');
+const { domainToASCII } = require('url');
+
+// RFC 5322 addr-spec, restricted to what SMTP can actually carry: a dot-atom or
+// quoted-string local part, and a domain of LDH labels or an IPv4 literal
+const ATEXT = "[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]";
+const DOT_ATOM_LOCAL = new RegExp(`^${ATEXT}+(\\.${ATEXT}+)*$`);
+const QUOTED_LOCAL = /^"([\x20\x21\x23-\x5b\x5d-\x7e]|\\[\x20-\x7e])*"$/;
+const DOMAIN_LABEL = /^[A-Za-z0-9]([A-Za-z0-9-]{0,61}[A-Za-z0-9])?$/;
+const DOMAIN_LITERAL = /^\[(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})\]$/;
+
+// Shared mailboxes that rarely belong to the person you mean to reach
+const ROLE_ACCOUNTS = new Set([
+  'abuse', 'admin', 'administrator', 'billing', 'careers', 'contact', 'do-not-reply', 'donotreply',
+  'enquiries', 'help', 'hostmaster', 'hr', 'info', 'jobs', 'mailer-daemon', 'marketing', 'no-reply',
+  'noreply', 'office', 'postmaster', 'privacy', 'root', 'sales', 'security', 'support', 'team',
+  'webmaster'
+]);
+
+// Well-known throwaway inbox providers. Extend with DISPOSABLE_DOMAINS (comma-separated).
+const DISPOSABLE_DOMAINS = [
+  '10minutemail.com', '20minutemail.com', 'burnermail.io', 'discard.email', 'dispostable.com',
+  'emailondeck.com', 'fakeinbox.com', 'getairmail.com', 'getnada.com', 'guerrillamail.com',
+  'guerrillamail.net', 'guerrillamailblock.com', 'harakirimail.com', 'inboxkitten.com', 'maildrop.cc',
+  'mailinator.com', 'mailnesia.com', 'mailpoof.com', 'mintemail.com', 'moakt.com', 'mohmal.com',
+  'mytemp.email', 'sharklasers.com', 'spam4.me', 'spamgourmet.com', 'temp-mail.org', 'tempail.com',
+  'tempmail.com', 'tempmailo.com', 'tempr.email', 'throwawaymail.com', 'trashmail.com', 'yopmail.com'
+];
+
+// Domains that typo suggestions are measured against
+const COMMON_DOMAINS = [
+  'aol.com', 'comcast.net', 'gmail.com', 'gmx.com', 'gmx.de', 'googlemail.com', 'hotmail.co.uk',
+  'hotmail.com', 'icloud.com', 'live.com', 'mail.com', 'me.com', 'msn.com', 'outlook.com',
+  'proton.me', 'protonmail.com', 'yahoo.co.uk', 'yahoo.com', 'yandex.com', 'zoho.com'
+];
+
+const TLD_TYPOS = { con: 'com', cmo: 'com', comm: 'com', vom: 'com', nte: 'net', ent: 'net', nett: 'net', ogr: 'org', orgg: 'org' };
+
+// Optimal string alignment distance: edits, with a swap of neighbours counted as one
+const editDistance = (a, b) => {
+  const d = Array.from({ length: a.length + 1 }, (row, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) {
+    d[0][j] = j;
+  }
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return d[a.length][b.length];
+};
+
+class ValidationService {
+  constructor() {
+    // Anything with dns.promises' resolveMx, resolve4 and resolve6 will do; swapped out in tests
+    this.resolver = dns.promises;
+    this.dnsTimeoutMs = parseInt(process.env.VALIDATION_DNS_TIMEOUT_MS) || 5000;
+    this.disposableDomains = new Set([
+      ...DISPOSABLE_DOMAINS,
+      ...(process.env.DISPOSABLE_DOMAINS || '').split(',').map(domain => domain.trim().toLowerCase()).filter(Boolean)
+    ]);
+  }
+
+  setResolver(resolver) {
+    this.resolver = resolver;
+  }
+
+  // Split on the last "@" (a quoted local part may contain one), trim, accept
+  // "Name <address>" and lowercase/punycode the domain. The local part keeps its
+  // case: only the receiving server may decide it doesn't matter. A trailing dot
+  // on the domain (the DNS root) is dropped and reported as `trailingDot`.
+  normalize(input) {
+    let address = String(input).trim();
+    const angle = /<([^<>]*)>\s*$/.exec(address);
+    if (angle) {
+      address = angle[1].trim();
+    }
+
+    const at = address.lastIndexOf('@');
+    if (at === -1) {
+      return { email: address, local: address, domain: '', trailingDot: false };
+    }
+
+    const local = address.slice(0, at);
+    const trailingDot = address.endsWith('.');
+    const rawDomain = address.slice(at + 1).toLowerCase().replace(/\.$/, '');
+    const domain = DOMAIN_LITERAL.test(rawDomain) ? rawDomain : domainToASCII(rawDomain) || rawDomain;
+
+    return { email: `${local}@${domain}`, local, domain, trailingDot };
+  }
+
+  // Returns a list of syntax problems; empty when the address is well-formed
+  checkSyntax({ email, local, domain }) {
+    if (!email) {
+      return ['Address is empty'];
+    }
+
+    if (!domain) {
+      return ['Missing "@"'];
+    }
+
+    const errors = [];
+
+    if (!local) {
+      errors.push('Missing local part before "@"');
+    } else if (local.length > 64) {
+      errors.push('Local part is longer than 64 characters');
+    } else if (!DOT_ATOM_LOCAL.test(local) && !QUOTED_LOCAL.test(local)) {
+      errors.push('Local part contains invalid characters or dots');
+    }
+
+    if (email.length > 254) {
+      errors.push('Address is longer than 254 characters');
+    }
+
+    const literal = DOMAIN_LITERAL.exec(domain);
+    if (literal) {
+      if (literal.slice(1).some(octet => parseInt(octet) > 255)) {
+        errors.push('Domain literal is not a valid IPv4 address');
+      }
+      return errors;
+    }
+
+    const labels = domain.split('.');
+    if (labels.length < 2) {
+      errors.push('Domain must contain a dot');
+    } else if (!labels.every(label => DOMAIN_LABEL.test(label))) {
+      errors.push('Domain contains invalid characters');
+    } else if (/^\d+$/.test(labels[labels.length - 1])) {
+      errors.push('Top-level domain cannot be numeric');
+    }
+
+    return errors;
+  }
+
+  isValidSyntax(email) {
+    return this.checkSyntax(this.normalize(email)).length === 0;
+  }
+
+  // Syntax problems plus what we won't send to even though RFC 5322 allows it:
+  // IP literals skip DNS and DKIM alignment, and root-dot domains break header checks
+  checkOutbound(address) {
+    const errors = this.checkSyntax(address);
+
+    if (errors.length === 0 && DOMAIN_LITERAL.test(address.domain)) {
+      errors.push('IP address domains are not accepted for sending');
+    }
+
+    if (errors.length === 0 && address.trailingDot) {
+      errors.push('Domain must not end with a dot');
+    }
+
+    return errors;
+  }
+
+  isRoleAccount(local) {
+    // "support+eu" is still the support inbox
+    return ROLE_ACCOUNTS.has(local.toLowerCase().split('+')[0]);
+  }
+
+  isDisposable(domain) {
+    const labels = domain.split('.');
+    return labels.some((label, index) => this.disposableDomains.has(labels.slice(index).join('.')));
+  }
+
+  // "gmial.com" -> "gmail.com", "example.con" -> "example.com"; null when nothing is close
+  suggestDomain(domain) {
+    if (!domain || COMMON_DOMAINS.includes(domain)) {
+      return null;
+    }
+
+    const closest = COMMON_DOMAINS
+      .map(candidate => ({ candidate, distance: editDistance(domain, candidate) }))
+      .sort((a, b) => a.distance - b.distance)[0];
+
+    if (closest.distance <= (domain.length > 8 ? 2 : 1)) {
+      return closest.candidate;
+    }
+
+    const labels = domain.split('.');
+    const tld = TLD_TYPOS[labels[labels.length - 1]];
+    return tld && labels.length > 1 ? [...labels.slice(0, -1), tld].join('.') : null;
+  }
+
+  async lookup(method, domain) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(Object.assign(new Error('DNS lookup timed out'), { code: 'ETIMEOUT' })), this.dnsTimeoutMs);
+    });
+
+    try {
+      return await Promise.race([this.resolver[method](domain), timeout]);
+    } catch (error) {
+      // No such domain, or no records of this type
+      if (['ENOTFOUND', 'ENODATA', 'NXDOMAIN'].includes(error.code)) {
+        return [];
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Look up the domain's mail servers. Without MX records the domain's own A/AAAA
+  // address is its mail server (RFC 5321 5.1); a "null MX" (RFC 7505) means it
+  // accepts no mail at all. found is null when the lookup itself failed.
+  async checkMx(domain) {
+    try {
+      const records = await this.lookup('resolveMx', domain);
+      const exchanges = records
+        .sort((a, b) => a.priority - b.priority)
+        .map(record => record.exchange);
+
+      if (exchanges.length > 0) {
+        const servers = exchanges.filter(exchange => exchange && exchange !== '.');
+        return { found: servers.length > 0, records: servers, nullMx: servers.length === 0 };
+      }
+
+      const addresses = [...await this.lookup('resolve4', domain), ...await this.lookup('resolve6', domain)];
+      return { found: addresses.length > 0, records: addresses.length > 0 ? [domain] : [], implicit: addresses.length > 0 };
+    } catch (error) {
+      return { found: null, records: [], error: error.message };
+    }
+  }
+
+  // Run every check over a list of addresses. Returns one result per input, in order:
+  // { input, email, status: 'valid' | 'risky' | 'invalid', errors, warnings,
+  //   role, disposable, duplicate, suggestion, mx }
+  async validate(addresses, { checkMx = false } = {}) {
+    const seen = new Map();
+    const mxLookups = new Map();
+
+    return Promise.all(addresses.map(async input => {
+      const address = this.normalize(input);
+      const errors = this.checkSyntax(address);
+      const warnings = [];
+      const result = {
+        input,
+        email: errors.length === 0 ? address.email : null,
+        role: false,
+        disposable: false,
+        duplicate: false,
+        suggestion: null,
+        mx: null
+      };
+
+      if (errors.length === 0) {
+        const key = address.email.toLowerCase();
+        result.duplicate = seen.has(key);
+        seen.set(key, true);
+
+        result.role = this.isRoleAccount(address.local);
+        result.disposable = this.isDisposable(address.domain);
+
+        if (result.duplicate) {
+          warnings.push('Duplicate of an earlier address');
+        }
+        if (result.role) {
+          warnings.push('Role account rather than a person');
+        }
+        if (result.disposable) {
+          warnings.push('Disposable email domain');
+        }
+      }
+
+      const suggestedDomain = this.suggestDomain(address.domain);
+      if (suggestedDomain && address.local) {
+        result.suggestion = `${address.local}@${suggestedDomain}`;
+        warnings.push(`Did you mean ${result.suggestion}?`);
+      }
+
+      if (checkMx && errors.length === 0 && !DOMAIN_LITERAL.test(address.domain)) {
+        if (!mxLookups.has(address.domain)) {
+          mxLookups.set(address.domain, this.checkMx(address.domain));
+        }
+
+        result.mx = await mxLookups.get(address.domain);
+        if (result.mx.found === false) {
+          errors.push(result.mx.nullMx ? 'Domain does not accept email (null MX)' : 'Domain does not accept email (no MX or address records)');
+        } else if (result.mx.found === null) {
+          warnings.push(`MX lookup failed: ${result.mx.error}`);
+        }
+      }
+
+      return {
+        ...result,
+        status: errors.length > 0 ? 'invalid' : (warnings.length > 0 ? 'risky' : 'valid'),
+        errors,
+        warnings
+      };
+    }));
+  }
+}
+
+module.exports = new ValidationService();
@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+
+/**
+ * Checks of the DNS-based features against a stub resolver: recipient MX
+ * validation and the sender domain check / DKIM verification. Nothing is looked
+ * up for real and the DKIM keys go to a temporary DATA_DIR.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'email-sender-test-'));
+
+const domainService = require('./services/domainService');
+const validationService = require('./services/validationService');
+
+const notFound = () => Object.assign(new Error('not found'), { code: 'ENOTFOUND' });
+
+// Answers from a table of records instead of the network
+const stubResolver = records => ({
+  resolveTxt: async name => {
+    if (!records.txt[name]) throw notFound();
+    return records.txt[name].map(record => [record]);
+  },
+  resolveMx: async name => {
+    if (!records.mx[name]) throw notFound();
+    return records.mx[name];
+  },
+  resolve4: async name => {
+    if (!records.a[name]) throw notFound();
+    return records.a[name];
+  },
+  resolve6: async () => {
+    throw notFound();
+  }
+});
+
+let failures = 0;
+
+const check = (label, passed, detail = '') => {
+  if (passed) {
+    console.log(`✅ ${label}`);
+  } else {
+    failures += 1;
+    console.error(`❌ ${label}`, detail);
+  }
+};
+
+async function testMxValidation() {
+  console.log('🧪 Testing MX validation...');
+
+  validationService.setResolver(stubResolver({
+    txt: {},
+    mx: {
+      'example.com': [{ exchange: 'mx2.example.com', priority: 20 }, { exchange: 'mx1.example.com', priority: 10 }],
+      'nomail.example': [{ exchange: '.', priority: 0 }]
+    },
+    a: { 'bare.example': ['192.0.2.1'] }
+  }));
+
+  const [withMx, implicit, nullMx, missing] = await validationService.validate(
+    ['jane@example.com', 'jane@bare.example', 'jane@nomail.example', 'jane@missing.example'],
+    { checkMx: true }
+  );
+
+  check('MX records are used, lowest priority first', withMx.status === 'valid' && withMx.mx.records[0] === 'mx1.example.com', withMx);
+  check('An A record stands in for a missing MX', implicit.status === 'valid' && implicit.mx.implicit, implicit);
+  check('A null MX is rejected', nullMx.status === 'invalid' && nullMx.mx.nullMx, nullMx);
+  check('A domain without MX or A records is rejected', missing.status === 'invalid' && missing.mx.found === false, missing);
+}
+
+async function testDomainCheck() {
+  console.log('\n🧪 Testing the domain check and DKIM verification...');
+
+  const records = {
+    txt: {
+      'example.com': ['v=spf1 include:_spf.example.net -all'],
+      '_dmarc.example.com': ['v=DMARC1; p=reject; rua=mailto:dmarc@example.com']
+    },
+    mx: {},
+    a: {}
+  };
+  domainService.setResolver(stubResolver(records));
+
+  const key = await domainService.generateKey('example.com', { bits: 1024 });
+  check('A new key waits for its DNS record', key.status === 'pending' && !domainService.dkimFor('jane@example.com'), key);
+
+  const unpublished = await domainService.verifyKey('example.com');
+  check('The key is not activated before its record is published', !unpublished.verified && unpublished.dkim.status === 'fail', unpublished);
+
+  records.txt[key.dnsRecord.name] = [key.dnsRecord.value];
+  const published = await domainService.verifyKey('example.com');
+  check('The key is activated once its record is published', published.verified && published.key.status === 'active', published);
+  check('Mail from the domain is signed with it', (domainService.dkimFor('jane@example.com') || {}).keySelector === key.selector);
+
+  const report = await domainService.check('example.com');
+  check('SPF, DKIM and DMARC all pass', report.ok && [report.spf, report.dkim, report.dmarc].every(result => result.status === 'pass'), report);
+
+  records.txt[key.dnsRecord.name] = ['v=DKIM1; k=rsa; p=MIIBIjANBgkqhkiG9w0BAQEFAAOCAQ8AMIIBCgKCAQEAwrong'];
+  const mismatched = await domainService.checkDkim('example.com');
+  check('A record with a different key fails', mismatched.status === 'fail', mismatched);
+}
+
+async function runTests() {
+  console.log('🚀 Starting DNS Tests\n');
+
+  try {
+    await testMxValidation();
+    await testDomainCheck();
+  } finally {
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  }
+
+  if (failures > 0) {
+    console.log(`\n❌ ${failures} check(s) failed`);
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log('\n🎉 All DNS tests passed!');
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('❌ Test execution failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTests };
@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+
+/**
+ * Checks of inbound mail: the webhook stays closed without INBOUND_WEBHOOK_SECRET
+ * and only takes posts carrying it, and the SMTP intake accepts mail for our own
+ * domains only. Runs on local ports with a temporary DATA_DIR; triage is off, so
+ * no AI provider is called.
+ */
+
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const nodemailer = require('nodemailer');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'email-sender-test-'));
+process.env.INBOUND_REPLY_MODE = 'off';
+process.env.INBOUND_DOMAINS = 'example.com';
+delete process.env.INBOUND_WEBHOOK_SECRET;
+
+const webhookRoutes = require('./routes/webhookRoutes');
+const inboundService = require('./services/inboundService');
+
+const rawMessage = messageId => [
+  'From: Jane <jane@customer.example>',
+  'To: support@example.com',
+  'Subject: Where is my order?',
+  `Message-ID: <${messageId}@customer.example>`,
+  '',
+  'Hi, my order has not arrived yet.'
+].join('\r\n');
+
+let failures = 0;
+
+const check = (label, passed, detail = '') => {
+  if (passed) {
+    console.log(`✅ ${label}`);
+  } else {
+    failures += 1;
+    console.error(`❌ ${label}`, detail);
+  }
+};
+
+// A port nothing is listening on right now
+const freePort = () => new Promise((resolve, reject) => {
+  const server = net.createServer();
+  server.on('error', reject);
+  server.listen(0, '127.0.0.1', () => {
+    const { port } = server.address();
+    server.close(() => resolve(port));
+  });
+});
+
+async function testWebhook() {
+  console.log('🧪 Testing the inbound webhook...');
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/webhooks', webhookRoutes);
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+
+  const post = (body, token) => fetch(`http://127.0.0.1:${server.address().port}/api/webhooks/inbound`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(token && { 'X-Webhook-Token': token }) },
+    body: JSON.stringify(body)
+  });
+
+  try {
+    let response = await post({ raw: rawMessage('webhook-1') });
+    check('Without INBOUND_WEBHOOK_SECRET the webhook answers 503', response.status === 503, response.status);
+    check('Nothing was stored', inboundService.messages.all().length === 0);
+
+    process.env.INBOUND_WEBHOOK_SECRET = 'test-secret';
+
+    response = await post({ raw: rawMessage('webhook-1') });
+    check('A post without the token is refused', response.status === 401, response.status);
+
+    response = await post({ raw: rawMessage('webhook-1') }, 'wrong-secret');
+    check('A post with the wrong token is refused', response.status === 401, response.status);
+
+    response = await post({ raw: rawMessage('webhook-1') }, 'test-secret');
+    const { data } = await response.json();
+    check('A post with the token is stored', response.status === 202 && inboundService.messages.get(data.id), response.status);
+
+    response = await post({ raw: rawMessage('webhook-1') }, 'test-secret');
+    check('The same Message-ID is only stored once', response.status === 200 && inboundService.messages.all().length === 1, response.status);
+  } finally {
+    delete process.env.INBOUND_WEBHOOK_SECRET;
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+async function testSmtpIntake() {
+  console.log('\n🧪 Testing the SMTP intake...');
+
+  const port = await freePort();
+  await inboundService.startSmtp(port, '127.0.0.1');
+  const transporter = nodemailer.createTransport({ host: '127.0.0.1', port, secure: false, ignoreTLS: true });
+
+  try {
+    const info = await transporter.sendMail({ raw: rawMessage('smtp-1'), envelope: { from: 'jane@customer.example', to: ['support@example.com'] } });
+    const item = inboundService.messages.find(candidate => candidate.source === 'smtp')[0];
+    check('Mail for our domain is accepted', /accepted as/.test(info.response) && item && item.subject === 'Where is my order?', info.response);
+
+    let refused = null;
+    try {
+      await transporter.sendMail({ raw: rawMessage('smtp-2'), envelope: { from: 'jane@customer.example', to: ['someone@elsewhere.example'] } });
+    } catch (error) {
+      refused = error;
+    }
+    check('Mail for other domains is refused (no relaying)', refused && refused.responseCode === 550, refused && refused.message);
+  } finally {
+    transporter.close();
+    await inboundService.stopSmtp();
+  }
+}
+
+async function runTests() {
+  console.log('🚀 Starting Inbound Mail Tests\n');
+
+  try {
+    await testWebhook();
+    await testSmtpIntake();
+  } finally {
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  }
+
+  if (failures > 0) {
+    console.log(`\n❌ ${failures} check(s) failed`);
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log('\n🎉 All inbound mail tests passed!');
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('❌ Test execution failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTests };
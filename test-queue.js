@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+
+/**
+ * Checks of the outbound queue with a stub SMTP transport: delivery, retries of
+ * temporary failures, permanent failures, and bounces reported while a job is
+ * still sending. Uses a temporary DATA_DIR; nothing is sent for real.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'email-sender-test-'));
+process.env.EMAIL_HOST = 'smtp.example.com';
+process.env.EMAIL_USER = 'sender@example.com';
+process.env.EMAIL_PASS = 'not-used';
+process.env.QUEUE_BACKOFF_MS = '20';
+
+const emailService = require('./services/emailService');
+const queueService = require('./services/queueService');
+
+const { RECIPIENT_STATUS } = queueService;
+
+let failures = 0;
+
+const check = (label, passed, detail = '') => {
+  if (passed) {
+    console.log(`✅ ${label}`);
+  } else {
+    failures += 1;
+    console.error(`❌ ${label}`, detail);
+  }
+};
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const smtpError = (responseCode, message) => Object.assign(new Error(message), { responseCode });
+
+// Replace SMTP with `reply(message, count)`, which returns or throws like sendMail
+let sentCount = 0;
+const stubTransport = reply => {
+  emailService.transporter.sendMail = async message => {
+    sentCount += 1;
+    return reply(message, sentCount);
+  };
+};
+
+const enqueue = recipients => queueService.enqueue({
+  recipients,
+  subject: 'Your order has shipped',
+  body: 'Hello, your order is on its way.'
+});
+
+const statusOf = (jobId, email) => queueService.jobs.get(jobId).recipients.find(recipient => recipient.email === email);
+
+async function testDelivery() {
+  console.log('🧪 Testing delivery...');
+
+  stubTransport((message, count) => ({ messageId: `<${count}@example.com>`, accepted: [message.to].flat(), rejected: [] }));
+  const job = enqueue(['ann@example.org', 'bob@example.org']);
+  await queueService.processJob(job.id);
+
+  const stored = queueService.jobs.get(job.id);
+  check('Every recipient is sent', stored.recipients.every(recipient => recipient.status === RECIPIENT_STATUS.SENT), stored.recipients);
+  check('The job is completed', stored.status === 'completed', stored.status);
+}
+
+async function testRetries() {
+  console.log('\n🧪 Testing retries...');
+
+  let temporaryFailures = 1;
+  stubTransport((message, count) => {
+    if ([message.to].flat().includes('temp@example.org') && temporaryFailures > 0) {
+      temporaryFailures -= 1;
+      throw smtpError(421, '421 Try again later');
+    }
+    if ([message.to].flat().includes('gone@example.org')) {
+      throw smtpError(550, '550 No such user');
+    }
+    return { messageId: `<${count}@example.com>`, accepted: [message.to].flat(), rejected: [] };
+  });
+
+  const job = enqueue(['temp@example.org', 'gone@example.org']);
+  await queueService.processJob(job.id);
+
+  check('A temporary failure is retried later', statusOf(job.id, 'temp@example.org').status === RECIPIENT_STATUS.PENDING &&
+    statusOf(job.id, 'temp@example.org').nextAttemptAt, statusOf(job.id, 'temp@example.org'));
+  check('A permanent failure is not retried', statusOf(job.id, 'gone@example.org').status === RECIPIENT_STATUS.FAILED, statusOf(job.id, 'gone@example.org'));
+
+  await wait(50);
+  await queueService.processJob(job.id);
+
+  check('The retry is sent', statusOf(job.id, 'temp@example.org').status === RECIPIENT_STATUS.SENT, statusOf(job.id, 'temp@example.org'));
+  check('The job finishes once nothing is pending', queueService.jobs.get(job.id).status === 'completed', queueService.jobs.get(job.id).status);
+}
+
+async function testBounceDuringSend() {
+  console.log('\n🧪 Testing a bounce that arrives while the job is sending...');
+
+  let firstMessageId = null;
+  stubTransport((message, count) => {
+    const messageId = `<${count}@example.com>`;
+    if (!firstMessageId) {
+      firstMessageId = messageId;
+    } else {
+      // The first recipient's bounce comes in while the second is being sent
+      queueService.recordDeliveryEvent({ type: 'bounce', bounceType: 'hard', email: 'ann@example.org', messageId: firstMessageId, status: '5.1.1', diagnostic: 'User unknown' });
+    }
+    return { messageId, accepted: [message.to].flat(), rejected: [] };
+  });
+
+  const job = enqueue(['ann@example.org', 'bob@example.org']);
+  await queueService.processJob(job.id);
+
+  check('The bounce is kept', statusOf(job.id, 'ann@example.org').status === RECIPIENT_STATUS.BOUNCED, statusOf(job.id, 'ann@example.org'));
+  check('The other recipient is sent', statusOf(job.id, 'bob@example.org').status === RECIPIENT_STATUS.SENT, statusOf(job.id, 'bob@example.org'));
+}
+
+async function runTests() {
+  console.log('🚀 Starting Queue Tests\n');
+
+  try {
+    await testDelivery();
+    await testRetries();
+    await testBounceDuringSend();
+  } finally {
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  }
+
+  if (failures > 0) {
+    console.log(`\n❌ ${failures} check(s) failed`);
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log('\n🎉 All queue tests passed!');
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('❌ Test execution failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTests };